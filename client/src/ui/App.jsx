@@ -1,17 +1,48 @@
 import React, { useMemo, useState } from 'react'
 import { TeacherView } from './TeacherView'
 import { StudentView } from './StudentView'
+import { PresenterView } from './PresenterView'
+
+// Shared links look like /join/abc123 and drop students straight into the join form
+function getJoinCodeFromUrl() {
+  const match = window.location.pathname.match(/^\/join\/([A-Za-z0-9]+)\/?$/)
+  return match ? match[1] : ''
+}
+
+// Teachers' own polls (and co-teacher invites) live at /teach/abc123
+function getHostedPollFromUrl() {
+  const match = window.location.pathname.match(/^\/teach\/([A-Za-z0-9]+)\/?$/)
+  return match ? match[1] : ''
+}
+
+// The projector screen for a poll is /present/abc123
+function getPresentedPollFromUrl() {
+  const match = window.location.pathname.match(/^\/present\/([A-Za-z0-9]+)\/?$/)
+  return match ? match[1] : ''
+}
+
+function initialRole(pollId, hostedPollId, presentedPollId) {
+  if (hostedPollId) return 'teacher'
+  if (presentedPollId) return 'presenter'
+  return pollId ? 'student' : null
+}
 
 export function App() {
-  const [selectedRole, setSelectedRole] = useState(null)
-  const [role, setRole] = useState(null)
-  const [pollId, setPollId] = useState('')
+  const [pollId] = useState(getJoinCodeFromUrl)
+  const [hostedPollId] = useState(getHostedPollFromUrl)
+  const [presentedPollId] = useState(getPresentedPollFromUrl)
+  const [selectedRole, setSelectedRole] = useState(() => initialRole(pollId, hostedPollId, presentedPollId))
+  const [role, setRole] = useState(() => initialRole(pollId, hostedPollId, presentedPollId))
 
   const content = useMemo(() => {
-    if (role === 'teacher') return <TeacherView onBack={() => setRole(null)} />
-    if (role === 'student') return <StudentView onBack={() => setRole(null)} />
+    if (role === 'teacher') return <TeacherView requestedPollId={hostedPollId} onBack={() => setRole(null)} />
+    if (role === 'student') return <StudentView initialCode={pollId} onBack={() => setRole(null)} />
+    if (role === 'presenter') return <PresenterView initialCode={presentedPollId} onBack={() => setRole(null)} />
     return null
-  }, [role])
+  }, [role, pollId, hostedPollId, presentedPollId])
+
+  // The projector screen fills the whole window
+  if (role === 'presenter') return <div style={{ fontFamily: 'Inter, system-ui, Arial' }}>{content}</div>
 
   if (role) {
     return (
@@ -167,6 +198,39 @@ export function App() {
             Submit answers and view live poll results in real-time.
           </p>
         </div>
+
+        {/* Presenter Card */}
+        <div style={{
+          width: '280px',
+          padding: '24px',
+          backgroundColor: 'white',
+          borderRadius: '16px',
+          border: '2px solid',
+          borderImage: selectedRole === 'presenter' ? 'linear-gradient(90deg, #5767D0, #7765DA) 1' : 'none',
+          borderColor: selectedRole === 'presenter' ? 'transparent' : '#F2F2F2',
+          boxShadow: selectedRole === 'presenter' ? '0 4px 20px rgba(119, 101, 218, 0.1)' : '0 4px 20px rgba(0, 0, 0, 0.05)',
+          cursor: 'pointer',
+          transition: 'all 0.2s ease',
+          transform: selectedRole === 'presenter' ? 'scale(1.02)' : 'scale(1)'
+        }}
+        onClick={() => setSelectedRole('presenter')}>
+          <h3 style={{
+            fontSize: '20px',
+            fontWeight: '700',
+            color: '#373737',
+            margin: '0 0 12px 0'
+          }}>
+            Presenter Screen
+          </h3>
+          <p style={{
+            fontSize: '14px',
+            color: '#6E6E6E',
+            margin: '0',
+            lineHeight: '1.5'
+          }}>
+            Show the current question, countdown and live results on a classroom projector.
+          </p>
+        </div>
       </div>
 
       {/* Continue Button */}
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react'
+
+const buttonStyle = {
+  backgroundColor: 'white',
+  color: '#7765DA',
+  border: '1px solid #7765DA',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  fontSize: '13px',
+  cursor: 'pointer'
+}
+
+const STATUS = {
+  present: { label: 'Present', color: '#4CAF50' },
+  absent: { label: 'Absent', color: '#E53935' },
+  unlisted: { label: 'Not on list', color: '#F5A623' }
+}
+
+const time = (at) => (at ? new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '–')
+
+// Class rosters imported from CSV, the one students of this poll pick their name from, and
+// the attendance report: who joined, who didn't, and when they came and went
+export function ClassRosterPanel({ serverUrl, token, pollId, pollStatus, classRoster, onSetRoster }) {
+  const [rosters, setRosters] = useState([])
+  const [attendance, setAttendance] = useState(null)
+  const [error, setError] = useState('')
+
+  const api = (path, options = {}) =>
+    fetch(`${serverUrl}/api${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...(options.headers || {}) }
+    }).then(async (res) => {
+      if (res.status === 204) return null
+      const body = await res.json()
+      if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+      return body
+    })
+
+  const run = (promise) => promise.catch((err) => setError(err.message))
+
+  const loadRosters = () => run(api('/rosters').then(setRosters))
+
+  const loadAttendance = () => run(api(`/polls/${pollId}/attendance`).then(setAttendance))
+
+  useEffect(() => {
+    if (token) loadRosters()
+  }, [token])
+
+  // Ending the session closes everyone's visit, so that is when the final report is ready
+  useEffect(() => {
+    if (token && pollId) loadAttendance()
+  }, [token, pollId, pollStatus, classRoster && classRoster.id])
+
+  // A freshly imported roster is put on this poll straight away
+  const importFile = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setError('')
+    run(file.text().then((text) => api(
+      `/rosters/import?name=${encodeURIComponent(file.name.replace(/\.\w+$/, ''))}`,
+      { method: 'POST', body: text, headers: { 'Content-Type': 'text/csv' } }
+    )).then((roster) => {
+      loadRosters()
+      onSetRoster(roster.id)
+    }))
+  }
+
+  // The poll keeps its own copy, so deleting a roster does not touch this poll's attendance
+  const deleteRoster = () => {
+    const roster = classRoster && rosters.find((r) => r.id === classRoster.id)
+    if (!roster || !window.confirm(`Delete the class roster "${roster.name}"? Polls that already use it keep their copy.`)) return
+    run(api(`/rosters/${roster.id}`, { method: 'DELETE' }).then(loadRosters))
+  }
+
+  const downloadCsv = () => {
+    run(fetch(`${serverUrl}/api/polls/${pollId}/attendance?format=csv`, {
+      headers: { Authorization: `Bearer ${token}` }
+    }).then((res) => {
+      if (!res.ok) throw new Error(`Export failed (${res.status})`)
+      return res.blob()
+    }).then((blob) => {
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(blob)
+      link.download = `poll-${pollId}-attendance.csv`
+      link.click()
+      URL.revokeObjectURL(link.href)
+    }))
+  }
+
+  const summary = attendance && attendance.summary
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '16px',
+      padding: '24px 32px',
+      boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+      marginTop: '24px'
+    }}>
+      <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737', margin: '0 0 16px 0' }}>Class Roster & Attendance</h3>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '8px' }}>
+        <select
+          value={classRoster ? classRoster.id : ''}
+          onChange={(e) => onSetRoster(e.target.value || null)}
+          style={{ padding: '8px 12px', border: '2px solid #E0E0E0', borderRadius: '8px', fontSize: '14px', backgroundColor: '#F2F2F2' }}>
+          <option value="">No class roster</option>
+          {/* A deleted roster is still on the poll as its own copy */}
+          {classRoster && !rosters.some((r) => r.id === classRoster.id) && (
+            <option value={classRoster.id}>{classRoster.name} ({classRoster.students.length})</option>
+          )}
+          {rosters.map((r) => (
+            <option key={r.id} value={r.id}>{r.name} ({r.studentCount})</option>
+          ))}
+        </select>
+        <label style={buttonStyle}>
+          Import CSV
+          <input type="file" accept=".csv" onChange={importFile} style={{ display: 'none' }} />
+        </label>
+        {classRoster && rosters.some((r) => r.id === classRoster.id) && (
+          <button onClick={deleteRoster} style={{ ...buttonStyle, color: '#FF6B6B', borderColor: '#FF6B6B' }}>Delete roster</button>
+        )}
+      </div>
+      <div style={{ color: '#6E6E6E', fontSize: '13px', marginBottom: '16px' }}>
+        {classRoster
+          ? 'Students pick their name from this list when they join. Anyone who joins under another name is flagged.'
+          : 'The CSV needs a name column (or first name and last name); id and email are optional.'}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <strong style={{ fontSize: '14px', color: '#373737' }}>
+          {pollStatus === 'open' ? 'Attendance so far' : 'Attendance'}
+          {summary && (
+            <span style={{ fontWeight: 400, color: '#6E6E6E' }}>
+              {' · '}{summary.present} present
+              {summary.expected != null && ` of ${summary.expected} · ${summary.absent} absent`}
+              {summary.unlisted > 0 && ` · ${summary.unlisted} not on the list`}
+            </span>
+          )}
+        </strong>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button onClick={loadAttendance} style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}>Refresh</button>
+          <button onClick={downloadCsv} style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}>⬇ Attendance CSV</button>
+        </div>
+      </div>
+      {attendance && attendance.students.length === 0 && (
+        <div style={{ color: '#6E6E6E', fontSize: '14px' }}>No students yet.</div>
+      )}
+      {attendance && attendance.students.map((row) => (
+        <div key={row.classStudentId || row.participantIds[0]} style={{ display: 'flex', gap: '8px', padding: '4px 0', fontSize: '13px', borderBottom: '1px solid #F6F6F6' }}>
+          <span style={{ flex: 1, color: '#373737' }}>
+            {row.name || 'Unnamed student'}
+            {row.externalId && <span style={{ color: '#9E9E9E' }}> · {row.externalId}</span>}
+          </span>
+          <span style={{ width: '90px', color: STATUS[row.status].color }}>{STATUS[row.status].label}</span>
+          <span style={{ width: '130px', color: '#6E6E6E' }}>
+            {row.firstJoinedAt ? `${time(row.firstJoinedAt)} – ${row.lastLeftAt ? time(row.lastLeftAt) : 'now'}` : ''}
+          </span>
+          <span style={{ width: '90px', color: '#6E6E6E' }}>
+            {row.firstJoinedAt ? `${row.minutesPresent} min` : ''}{row.removed ? ' · removed' : ''}
+          </span>
+        </div>
+      ))}
+
+      {error && <div style={{ color: '#E53935', fontSize: '14px', marginTop: '12px' }}>{error}</div>}
+    </div>
+  )
+}
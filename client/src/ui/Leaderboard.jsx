@@ -0,0 +1,55 @@
+import React from 'react'
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' }
+
+// Standings from the server, already sorted; `highlight` marks the viewer's own row
+export function Leaderboard({ rows, highlight }) {
+  if (!rows.length) return <div style={{ color: '#6E6E6E', fontSize: 14 }}>No scores yet.</div>
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+      {rows.map((row) => (
+        <div key={`${row.rank}-${row.name}`} style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 10,
+          padding: '6px 10px',
+          borderRadius: 8,
+          fontSize: 14,
+          backgroundColor: row.name === highlight ? '#F0F4FF' : '#FAFAFA'
+        }}>
+          <span style={{ width: 28, fontWeight: 700, color: '#7765DA' }}>{MEDALS[row.rank] || `${row.rank}.`}</span>
+          <span style={{ flex: 1, color: '#373737' }}>{row.name}</span>
+          {row.streak > 1 && <span title="Correct answers in a row" style={{ color: '#E65100', fontSize: 12 }}>🔥 {row.streak}</span>}
+          <span style={{ fontWeight: 700, color: '#373737' }}>{row.points}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Top three, tallest block in the middle
+export function Podium({ podium }) {
+  const place = (rank) => podium.filter((row) => row.rank === rank)
+  const heights = { 1: 140, 2: 100, 3: 70 }
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'center', gap: 12 }}>
+      {[2, 1, 3].map((rank) => (
+        <div key={rank} style={{ width: 140, textAlign: 'center' }}>
+          <div style={{ fontSize: 28 }}>{MEDALS[rank]}</div>
+          {place(rank).map((row) => (
+            <div key={row.name} style={{ fontWeight: 700, color: '#373737' }}>
+              {row.name} <span style={{ color: '#6E6E6E', fontWeight: 400 }}>{row.points}</span>
+            </div>
+          ))}
+          <div style={{
+            height: heights[rank],
+            marginTop: 8,
+            borderRadius: '8px 8px 0 0',
+            background: 'linear-gradient(180deg, #7765DA, #4F0DCE)',
+            opacity: place(rank).length ? 1 : 0.3
+          }} />
+        </div>
+      ))}
+    </div>
+  )
+}
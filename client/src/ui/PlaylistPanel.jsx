@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react'
+import { secondsLeft } from './clock'
+
+const buttonStyle = {
+  backgroundColor: 'white',
+  color: '#7765DA',
+  border: '1px solid #7765DA',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  fontSize: '13px',
+  cursor: 'pointer'
+}
+
+function playlistStatus(playlist, breakLeft) {
+  if (playlist.breakEndsAt) return `Showing results, next question in ${breakLeft}s`
+  return playlist.status === 'paused' ? 'Paused after this question' : 'Running'
+}
+
+// Questions queued in the editor or from a quiz; once started, the server asks them one
+// after another and this shows where it is, with pause, skip and stop
+export function PlaylistPanel({ playlist, queue, onQueueChange, canStart, onStart, onControl }) {
+  const [breakLeft, setBreakLeft] = useState(0)
+
+  useEffect(() => {
+    if (!playlist || !playlist.breakEndsAt) return
+    const tick = () => setBreakLeft(secondsLeft({ endsAt: playlist.breakEndsAt }))
+    tick()
+    const id = setInterval(tick, 1000)
+    return () => clearInterval(id)
+  }, [playlist?.breakEndsAt])
+
+  if (!playlist && !queue.length) return null
+
+  const updateItem = (key, field, value) =>
+    onQueueChange(queue.map((item) => (item.key === key ? { ...item, [field]: value } : item)))
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '16px',
+      padding: '24px 32px',
+      boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+      marginTop: '24px'
+    }}>
+      <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737', margin: '0 0 12px' }}>Playlist</h3>
+
+      {playlist ? (
+        <>
+          <div style={{ fontSize: '14px', color: '#373737', marginBottom: '12px' }}>
+            <strong>Question {playlist.number} of {playlist.total}</strong>
+            <span style={{ color: '#6E6E6E' }}> · {playlistStatus(playlist, breakLeft)}</span>
+          </div>
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            {playlist.status === 'paused'
+              ? <button onClick={() => onControl('teacher:resumePlaylist')} style={buttonStyle}>▶ Resume</button>
+              : <button onClick={() => onControl('teacher:pausePlaylist')} style={buttonStyle}>⏸ Pause</button>}
+            <button onClick={() => onControl('teacher:skipPlaylistItem')} style={buttonStyle}>⏭ Skip</button>
+            <button onClick={() => onControl('teacher:stopPlaylist')} style={{ ...buttonStyle, color: '#FF6B6B', borderColor: '#FF6B6B' }}>Stop</button>
+          </div>
+          {playlist.upcoming.length > 0 && (
+            <ol start={playlist.number + 1} style={{ margin: 0, paddingLeft: '20px', fontSize: '14px', color: '#6E6E6E' }}>
+              {playlist.upcoming.map((text, idx) => <li key={idx}>{text}</li>)}
+            </ol>
+          )}
+        </>
+      ) : (
+        <>
+          {queue.map((item, idx) => (
+            <div key={item.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 0', borderBottom: '1px solid #F0F0F0', fontSize: '14px' }}>
+              <span style={{ flex: 1 }}>{idx + 1}. {item.text}</span>
+              <span style={{ color: '#6E6E6E' }}>{item.durationSec}s</span>
+              <label style={{ color: '#6E6E6E' }}>
+                then results for{' '}
+                <input
+                  type="number"
+                  min="0"
+                  max="300"
+                  value={item.breakSec}
+                  onChange={(e) => updateItem(item.key, 'breakSec', Math.max(0, Number(e.target.value) || 0))}
+                  style={{ width: '52px', padding: '2px 4px', border: '1px solid #DDD', borderRadius: '4px' }}
+                />s
+              </label>
+              <button onClick={() => onQueueChange(queue.filter((x) => x.key !== item.key))} title="Remove from playlist" style={{ color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>×</button>
+            </div>
+          ))}
+          <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+            <button onClick={onStart} disabled={!canStart} style={{ ...buttonStyle, opacity: canStart ? 1 : 0.5 }}>
+              ▶ Start playlist ({queue.length} question{queue.length === 1 ? '' : 's'})
+            </button>
+            <button onClick={() => onQueueChange([])} style={{ ...buttonStyle, color: '#6E6E6E', borderColor: '#E0E0E0' }}>Clear</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,69 @@
+import React, { useState } from 'react'
+import { ResultsChart, Histogram } from './ResultsChart'
+
+const END_REASONS = {
+  timeout: 'Time ran out',
+  all_answered: 'Everyone answered',
+  teacher_end: 'Ended by teacher',
+  skipped: 'Skipped',
+  poll_closed: 'Session ended'
+}
+
+function Stat({ label, value }) {
+  return (
+    <div style={{ background: '#F6F6F6', borderRadius: 8, padding: '8px 12px', minWidth: 110 }}>
+      <div style={{ fontSize: 12, color: '#6E6E6E' }}>{label}</div>
+      <div style={{ fontSize: 16, fontWeight: 700, color: '#373737' }}>{value}</div>
+    </div>
+  )
+}
+
+function QuestionDetail({ q }) {
+  const times = q.responseTimes
+  return (
+    <div style={{ padding: '12px 0 16px' }}>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 12 }}>
+        <Stat label="Ended" value={END_REASONS[q.reason] || q.reason || '—'} />
+        <Stat
+          label="Participation"
+          value={q.participation != null ? `${q.participation}% (${q.totalAnswers}/${q.studentsTotal})` : `${q.totalAnswers} answers`}
+        />
+        {q.accuracy != null && <Stat label="Correct" value={`${q.accuracy}%`} />}
+        {times && times.averageSec != null && <Stat label="Avg response" value={`${times.averageSec}s`} />}
+        {times && times.medianSec != null && <Stat label="Median response" value={`${times.medianSec}s`} />}
+      </div>
+      <ResultsChart results={q} />
+      {times && times.averageSec != null && (
+        <div style={{ marginTop: 16 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: '#373737' }}>Response times</div>
+          <Histogram bins={times.buckets} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Finished questions, newest first; click one to see its results and stats
+export function PollHistory({ questions }) {
+  const [openId, setOpenId] = useState(null)
+
+  if (questions.length === 0) {
+    return <div style={{ color: '#6E6E6E', fontSize: 14 }}>No finished questions yet.</div>
+  }
+  return questions.map((q, idx) => (
+    <div key={q.questionId} style={{ borderBottom: '1px solid #F0F0F0' }}>
+      <div
+        onClick={() => setOpenId(openId === q.questionId ? null : q.questionId)}
+        style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', fontSize: 14, cursor: 'pointer' }}>
+        <span style={{ color: '#373737' }}>
+          {openId === q.questionId ? '▾' : '▸'} Q{questions.length - idx}. {q.text}
+        </span>
+        <span style={{ color: '#6E6E6E' }}>
+          {q.totalAnswers} answers{q.accuracy != null ? ` · ${q.accuracy}% correct` : ''}
+          {q.anonymous ? ' · anonymous' : ''}{q.resultsVisibility === 'never' ? ' · hidden from students' : ''}
+        </span>
+      </div>
+      {openId === q.questionId && <QuestionDetail q={q} />}
+    </div>
+  ))
+}
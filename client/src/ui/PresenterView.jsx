@@ -0,0 +1,234 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { io } from 'socket.io-client'
+import { QRCodeSVG } from 'qrcode.react'
+import { ResultsChart } from './ResultsChart'
+import { Leaderboard, Podium } from './Leaderboard'
+import { syncClock, secondsLeft, formatTime } from './clock'
+import { request } from './socketRequest'
+
+const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:4000'
+
+const panelStyle = {
+  backgroundColor: 'white',
+  borderRadius: '24px',
+  padding: '40px 48px',
+  boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)'
+}
+
+// Read-only screen for the classroom projector: the current question, a big countdown,
+// how to join, and the results as students are allowed to see them. It joins by code
+// and the server gives it no way to answer or control the poll.
+export function PresenterView({ initialCode = '', onBack }) {
+  const [socket, setSocket] = useState(null)
+  const [joinCode, setJoinCode] = useState(initialCode)
+  const [joinError, setJoinError] = useState('')
+  const [pollId, setPollId] = useState('')
+  const [currentQuestion, setCurrentQuestion] = useState(null)
+  const [results, setResults] = useState(null)
+  const [lastResult, setLastResult] = useState(null) // the question that just finished
+  const [timeLeft, setTimeLeft] = useState(0)
+  const [playlist, setPlaylist] = useState(null)
+  const [breakLeft, setBreakLeft] = useState(0)
+  const [gameMode, setGameMode] = useState(false)
+  const [leaderboard, setLeaderboard] = useState([])
+  const [podium, setPodium] = useState(null)
+  const [closed, setClosed] = useState(false)
+  const presentedCode = useRef(initialCode) // (re)joined on every connect, so /present/<code> starts by itself
+
+  useEffect(() => {
+    const s = io(SERVER_URL, {
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 500,
+      withCredentials: false
+    })
+    setSocket(s)
+    s.on('connect', () => {
+      if (presentedCode.current) present(s, presentedCode.current)
+    })
+    s.on('connect_error', (err) => {
+      console.error('Socket connect_error', err)
+    })
+    s.on('presenter:ready', (payload) => {
+      setJoinError('')
+      setPollId(payload.pollId)
+      if (payload.currentQuestion) syncClock(payload.currentQuestion.serverNow)
+      setCurrentQuestion(payload.currentQuestion)
+      setResults(payload.results)
+      setLastResult(payload.lastResult)
+      if (payload.playlist) syncClock(payload.playlist.serverNow)
+      setPlaylist(payload.playlist)
+      setGameMode(payload.gameMode)
+      setLeaderboard(payload.leaderboard)
+    })
+    s.on('questionAsked', (q) => {
+      syncClock(q.serverNow)
+      setCurrentQuestion(q)
+      setResults(null)
+      setLastResult(null)
+      setPodium(null)
+    })
+    s.on('timer:update', (t) => {
+      syncClock(t.serverNow)
+      setCurrentQuestion((q) => (q && q.id === t.questionId ? { ...q, ...t } : q))
+    })
+    s.on('results:update', setResults)
+    s.on('questionFinished', (r) => {
+      setCurrentQuestion(null)
+      setResults(null)
+      setLastResult(r)
+    })
+    s.on('playlist:update', (p) => {
+      if (p) syncClock(p.serverNow)
+      setPlaylist(p)
+    })
+    s.on('game:settings', ({ enabled }) => setGameMode(enabled))
+    s.on('leaderboard:update', setLeaderboard)
+    s.on('leaderboard:podium', setPodium)
+    s.on('poll:closed', () => setClosed(true))
+
+    return () => s.disconnect()
+  }, [])
+
+  useEffect(() => {
+    if (!currentQuestion) return
+    setTimeLeft(secondsLeft(currentQuestion))
+    const id = setInterval(() => setTimeLeft(secondsLeft(currentQuestion)), 1000)
+    return () => clearInterval(id)
+  }, [currentQuestion?.id, currentQuestion?.endsAt, currentQuestion?.paused, currentQuestion?.remainingMs])
+
+  useEffect(() => {
+    if (!playlist || !playlist.breakEndsAt) return
+    const tick = () => setBreakLeft(secondsLeft({ endsAt: playlist.breakEndsAt }))
+    tick()
+    const id = setInterval(tick, 1000)
+    return () => clearInterval(id)
+  }, [playlist?.breakEndsAt])
+
+  const present = (s, code) =>
+    request(s, 'presenter:init', { pollId: code }).then((res) => {
+      if (res.ok || res.error.code === 'TIMEOUT') return
+      presentedCode.current = ''
+      setPollId('')
+      setJoinError(res.error.message)
+    })
+
+  const start = () => {
+    presentedCode.current = joinCode.trim()
+    present(socket, presentedCode.current)
+  }
+
+  if (!pollId) {
+    return (
+      <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', backgroundColor: '#F2F2F2' }}>
+        <div style={{ ...panelStyle, width: '420px' }}>
+          <h2 style={{ fontSize: '24px', fontWeight: '700', color: '#373737', margin: '0 0 8px' }}>Presenter screen</h2>
+          <p style={{ fontSize: '14px', color: '#6E6E6E', margin: '0 0 20px' }}>
+            Enter the join code to show the poll on a projector. This screen cannot answer or control the poll.
+          </p>
+          <input
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && joinCode.trim() && start()}
+            placeholder="Join code"
+            style={{ width: '100%', boxSizing: 'border-box', padding: '12px', fontSize: '16px', border: '1px solid #E0E0E0', borderRadius: '8px' }}
+          />
+          {joinError && <div style={{ color: '#FF6B6B', fontSize: '14px', marginTop: '8px' }}>{joinError}</div>}
+          <div style={{ display: 'flex', gap: '12px', marginTop: '20px' }}>
+            <button onClick={onBack} style={{ flex: 1, padding: '12px', border: '1px solid #E0E0E0', borderRadius: '8px', backgroundColor: 'white', cursor: 'pointer' }}>Back</button>
+            <button onClick={start} disabled={!joinCode.trim() || !socket} style={{
+              flex: 1,
+              padding: '12px',
+              border: 'none',
+              borderRadius: '8px',
+              background: 'linear-gradient(90deg, #8F64E1, #1D68BD)',
+              color: 'white',
+              fontWeight: '600',
+              cursor: 'pointer',
+              opacity: joinCode.trim() ? 1 : 0.5
+            }}>
+              Present
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const joinLink = `${window.location.origin}/join/${pollId}`
+  const sequence = currentQuestion && currentQuestion.sequence
+  const showLeaderboard = gameMode && !currentQuestion && leaderboard.length > 0
+
+  return (
+    <div style={{ minHeight: '100vh', backgroundColor: '#F2F2F2', padding: '32px', boxSizing: 'border-box', display: 'flex', gap: '32px' }}>
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '32px' }}>
+        {currentQuestion ? (
+          <div style={panelStyle}>
+            <div style={{ fontSize: '20px', color: '#6E6E6E', marginBottom: '12px' }}>
+              {sequence ? `Question ${sequence.number} of ${sequence.total}` : 'Question'}
+            </div>
+            <h1 style={{ fontSize: '44px', fontWeight: '700', color: '#373737', margin: '0 0 24px', lineHeight: 1.2 }}>{currentQuestion.text}</h1>
+            {results ? (
+              <>
+                <ResultsChart results={results} large />
+                <div style={{ fontSize: '20px', color: '#6E6E6E', marginTop: '20px' }}>
+                  {results.totalAnswers} of {results.studentsTotal} answered
+                </div>
+              </>
+            ) : currentQuestion.options ? (
+              currentQuestion.options.map((o, idx) => (
+                <div key={o.id} style={{ fontSize: '28px', color: '#373737', padding: '12px 0' }}>
+                  {currentQuestion.type === 'rating' ? `${o.text} ★` : `${String.fromCharCode(65 + idx)}. ${o.text}`}
+                </div>
+              ))
+            ) : (
+              <div style={{ fontSize: '24px', color: '#6E6E6E' }}>Answer on your device.</div>
+            )}
+          </div>
+        ) : lastResult ? (
+          <div style={panelStyle}>
+            <div style={{ fontSize: '20px', color: '#6E6E6E', marginBottom: '12px' }}>
+              {playlist && playlist.breakEndsAt ? `Next question in ${breakLeft}s` : 'Results'}
+            </div>
+            <h1 style={{ fontSize: '40px', fontWeight: '700', color: '#373737', margin: '0 0 24px', lineHeight: 1.2 }}>{lastResult.text}</h1>
+            {lastResult.options || lastResult.histogram || lastResult.words
+              ? <ResultsChart results={lastResult} large />
+              : <div style={{ fontSize: '24px', color: '#6E6E6E' }}>The teacher will share the results.</div>}
+          </div>
+        ) : (
+          <div style={{ ...panelStyle, textAlign: 'center' }}>
+            <h1 style={{ fontSize: '44px', fontWeight: '700', color: '#373737', margin: 0 }}>{closed ? 'This poll has ended' : 'Waiting for the first question…'}</h1>
+          </div>
+        )}
+
+        {podium && (
+          <div style={panelStyle}>
+            <Podium podium={podium} />
+          </div>
+        )}
+        {!podium && showLeaderboard && (
+          <div style={{ ...panelStyle, fontSize: '20px' }}>
+            <h2 style={{ fontSize: '28px', fontWeight: '700', color: '#373737', margin: '0 0 16px' }}>Leaderboard</h2>
+            <Leaderboard rows={leaderboard} />
+          </div>
+        )}
+      </div>
+
+      <div style={{ width: '320px', display: 'flex', flexDirection: 'column', gap: '32px' }}>
+        {currentQuestion && (
+          <div style={{ ...panelStyle, padding: '32px', textAlign: 'center' }}>
+            <div style={{ fontSize: '18px', color: '#6E6E6E' }}>{currentQuestion.paused ? 'Paused' : 'Time left'}</div>
+            <div style={{ fontSize: '96px', fontWeight: '700', color: timeLeft <= 5 ? '#FF6B6B' : '#373737', fontVariantNumeric: 'tabular-nums' }}>
+              {formatTime(timeLeft)}
+            </div>
+          </div>
+        )}
+        <div style={{ ...panelStyle, padding: '32px', textAlign: 'center' }}>
+          <div style={{ fontSize: '18px', color: '#6E6E6E' }}>Join at {window.location.host} with code</div>
+          <div style={{ fontSize: '56px', fontWeight: '700', color: '#4F0DCE', letterSpacing: '4px', margin: '8px 0 20px' }}>{pollId}</div>
+          <QRCodeSVG value={joinLink} size={220} />
+        </div>
+      </div>
+    </div>
+  )
+}
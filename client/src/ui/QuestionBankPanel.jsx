@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react'
+
+const buttonStyle = {
+  backgroundColor: 'white',
+  color: '#7765DA',
+  border: '1px solid #7765DA',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  fontSize: '13px',
+  cursor: 'pointer'
+}
+
+// Saved quizzes for the teacher: pick one, then launch its questions in order with one click,
+// or queue the whole quiz as a playlist the server runs by itself
+export function QuestionBankPanel({ serverUrl, token, draft, canAsk, onAsk, onQueue }) {
+  const [quizzes, setQuizzes] = useState([])
+  const [quiz, setQuiz] = useState(null)
+  const [nextIndex, setNextIndex] = useState(0)
+  const [newTitle, setNewTitle] = useState('')
+  const [error, setError] = useState('')
+
+  const api = (path, options = {}) =>
+    fetch(`${serverUrl}/api${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...(options.headers || {}) }
+    }).then(async (res) => {
+      if (res.status === 204) return null
+      const body = res.headers.get('content-type')?.includes('json') ? await res.json() : await res.text()
+      if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+      return body
+    })
+
+  const run = (promise) => promise.catch((err) => setError(err.message))
+
+  const loadQuizzes = () => run(api('/quizzes').then(setQuizzes))
+
+  useEffect(() => {
+    if (token) loadQuizzes()
+  }, [token])
+
+  const selectQuiz = (id) => {
+    setError('')
+    if (!id) return setQuiz(null)
+    run(api(`/quizzes/${id}`).then((q) => {
+      setQuiz(q)
+      setNextIndex(0)
+    }))
+  }
+
+  const createQuiz = () => {
+    if (!newTitle.trim()) return
+    run(api('/quizzes', { method: 'POST', body: JSON.stringify({ title: newTitle }) }).then((q) => {
+      setNewTitle('')
+      loadQuizzes()
+      selectQuiz(q.id)
+    }))
+  }
+
+  const deleteQuiz = () => {
+    if (!quiz || !window.confirm(`Delete quiz "${quiz.title}"?`)) return
+    run(api(`/quizzes/${quiz.id}`, { method: 'DELETE' }).then(() => {
+      setQuiz(null)
+      loadQuizzes()
+    }))
+  }
+
+  // Saves the question currently in the editor and appends it to the selected quiz
+  const saveDraft = () => {
+    if (!draft) return
+    run(api('/questions', { method: 'POST', body: JSON.stringify(draft) }).then((q) => {
+      if (!quiz) return
+      return api(`/quizzes/${quiz.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ questionIds: [...quiz.questionIds, q.id] })
+      }).then(() => selectQuiz(quiz.id))
+    }))
+  }
+
+  const askNext = () => {
+    const q = quiz && quiz.questions[nextIndex]
+    if (!q || !canAsk) return
+    // Only move on once the question is actually out; a refused one is asked again next time
+    onAsk(q).then((res) => {
+      if (res.ok) setNextIndex(nextIndex + 1)
+    })
+  }
+
+  const importFile = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    const isCsv = /\.csv$/i.test(file.name)
+    run(file.text().then((text) => api(
+      `/quizzes/import?format=${isCsv ? 'csv' : 'json'}&title=${encodeURIComponent(file.name.replace(/\.\w+$/, ''))}`,
+      { method: 'POST', body: text, headers: { 'Content-Type': isCsv ? 'text/csv' : 'application/json' } }
+    )).then((q) => {
+      loadQuizzes()
+      selectQuiz(q.id)
+    }))
+  }
+
+  const exportQuiz = (format) => {
+    if (!quiz) return
+    run(fetch(`${serverUrl}/api/quizzes/${quiz.id}/export?format=${format}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    }).then((res) => res.blob()).then((blob) => {
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(blob)
+      link.download = `${quiz.title}.${format}`
+      link.click()
+      URL.revokeObjectURL(link.href)
+    }))
+  }
+
+  const next = quiz && quiz.questions[nextIndex]
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '16px',
+      padding: '24px 32px',
+      boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+      marginTop: '24px'
+    }}>
+      <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737', margin: '0 0 16px 0' }}>Question Bank</h3>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px' }}>
+        <select
+          value={quiz ? quiz.id : ''}
+          onChange={(e) => selectQuiz(e.target.value)}
+          style={{ padding: '8px 12px', border: '2px solid #E0E0E0', borderRadius: '8px', fontSize: '14px', backgroundColor: '#F2F2F2' }}>
+          <option value="">Select a quiz…</option>
+          {quizzes.map((z) => (
+            <option key={z.id} value={z.id}>
+              {z.title} ({z.questionIds.length}){z.tags.length ? ` · ${z.tags.join(', ')}` : ''}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="New quiz title"
+          style={{ padding: '8px 12px', border: '2px solid #E0E0E0', borderRadius: '8px', fontSize: '14px' }}
+        />
+        <button onClick={createQuiz} style={buttonStyle}>Create</button>
+        <label style={buttonStyle}>
+          Import JSON/CSV
+          <input type="file" accept=".json,.csv" onChange={importFile} style={{ display: 'none' }} />
+        </label>
+      </div>
+
+      {quiz && (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <button onClick={() => exportQuiz('json')} style={buttonStyle}>Export JSON</button>
+          <button onClick={() => exportQuiz('csv')} style={buttonStyle}>Export CSV</button>
+          <button onClick={() => onQueue(quiz.questions)} disabled={!quiz.questions.length} style={buttonStyle}>Add quiz to playlist</button>
+          <button onClick={deleteQuiz} style={{ ...buttonStyle, color: '#FF6B6B', borderColor: '#FF6B6B' }}>Delete quiz</button>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <button onClick={saveDraft} disabled={!draft} style={{ ...buttonStyle, opacity: draft ? 1 : 0.5 }}>
+          {quiz ? 'Save editor question to quiz' : 'Save editor question to bank'}
+        </button>
+        {quiz && (
+          <button
+            onClick={askNext}
+            disabled={!next || !canAsk}
+            style={{
+              background: next && canAsk ? 'linear-gradient(90deg, #7765DA, #4F0DCE)' : '#E0E0E0',
+              color: next && canAsk ? 'white' : '#9E9E9E',
+              border: 'none',
+              borderRadius: '8px',
+              padding: '8px 16px',
+              fontWeight: '600',
+              cursor: next && canAsk ? 'pointer' : 'not-allowed'
+            }}>
+            {next
+              ? `Ask next (${nextIndex + 1}/${quiz.questions.length}): ${next.text}`
+              : 'All quiz questions asked'}
+          </button>
+        )}
+      </div>
+
+      {error && <div style={{ color: '#E53935', fontSize: '14px', marginTop: '12px' }}>{error}</div>}
+    </div>
+  )
+}
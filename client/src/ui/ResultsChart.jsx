@@ -0,0 +1,91 @@
+import React from 'react'
+
+// Bars grow smoothly as live results come in
+function Bar({ label, count, total, highlight, large }) {
+  const pct = total > 0 ? Math.round((count / total) * 100) : 0
+  return (
+    <div style={{ marginTop: large ? 20 : 10, fontSize: large ? 28 : undefined }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
+        <span>{label}</span>
+        <span>{pct}%</span>
+      </div>
+      <div style={{ height: large ? 40 : 16, background: '#EEE', borderRadius: large ? 20 : 8, overflow: 'hidden' }}>
+        <div style={{ height: '100%', width: `${pct}%`, background: highlight ? '#4CAF50' : '#7765DA', transition: 'width 0.6s ease' }} />
+      </div>
+    </div>
+  )
+}
+
+export function Histogram({ bins, stats }) {
+  const max = Math.max(1, ...bins.map((b) => b.count))
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: 6, height: 140, marginTop: 12 }}>
+        {bins.map((b) => (
+          <div key={b.label} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-end', height: '100%' }}>
+            <span style={{ fontSize: 12, color: '#373737' }}>{b.count}</span>
+            <div style={{ width: '100%', height: `${(b.count / max) * 100}%`, background: '#7765DA', borderRadius: '4px 4px 0 0', transition: 'height 0.6s ease' }} />
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: 6, marginTop: 4 }}>
+        {bins.map((b) => (
+          <span key={b.label} style={{ flex: 1, fontSize: 11, color: '#6E6E6E', textAlign: 'center' }}>{b.label}</span>
+        ))}
+      </div>
+      {stats && (
+        <div style={{ fontSize: 14, color: '#373737', marginTop: 12 }}>
+          Mean {stats.mean} · Median {stats.median} · Range {stats.min} to {stats.max}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function WordCloud({ words }) {
+  const max = Math.max(1, ...words.map((w) => w.count))
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px 14px', alignItems: 'baseline', justifyContent: 'center', padding: '12px 0' }}>
+      {words.map((w) => (
+        <span key={w.text} title={`${w.count}`} style={{
+          fontSize: 14 + Math.round((w.count / max) * 22),
+          fontWeight: w.count === max ? 700 : 500,
+          color: w.count === max ? '#4F0DCE' : '#7765DA'
+        }}>
+          {w.text}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// Renders a results payload (results:update or questionFinished) for any question type;
+// `large` is for the presenter screen
+export function ResultsChart({ results, large = false }) {
+  const type = results.type || 'single'
+  const empty = <div style={{ color: '#6E6E6E', fontSize: 14 }}>No answers yet.</div>
+
+  if (type === 'numeric') {
+    return results.histogram && results.histogram.length ? <Histogram bins={results.histogram} stats={results.stats} /> : empty
+  }
+  if (type === 'text') {
+    return results.words && results.words.length ? <WordCloud words={results.words} /> : empty
+  }
+  return (
+    <div>
+      {type === 'rating' && results.average != null && (
+        <div style={{ fontSize: large ? 24 : 14, fontWeight: 600, color: '#373737' }}>Average rating: {results.average} / 5</div>
+      )}
+      {results.options.map((o, idx) => (
+        <Bar
+          key={o.id}
+          label={type === 'rating' ? `${o.text} ★` : `${String.fromCharCode(65 + idx)}. ${o.text}${o.isCorrect ? ' ✓' : ''}`}
+          count={o.count}
+          total={results.totalAnswers}
+          highlight={o.isCorrect}
+          large={large}
+        />
+      ))}
+    </div>
+  )
+}
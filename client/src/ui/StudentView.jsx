@@ -1,12 +1,46 @@
 import React, { useEffect, useMemo, useState } from 'react'
 import { io } from 'socket.io-client'
+import { ResultsChart } from './ResultsChart'
+import { Leaderboard, Podium } from './Leaderboard'
+import { syncClock, secondsLeft, formatTime } from './clock'
+import { request } from './socketRequest'
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:4000'
+const PARTICIPANT_KEY = 'livepoll:participantId'
+const SESSION_KEY = 'livepoll:studentSession'
 
-export function StudentView({ onBack }) {
+// Stable id for this browser so the server can resume our seat after a refresh or reconnect
+function getParticipantId() {
+  let id = localStorage.getItem(PARTICIPANT_KEY)
+  if (!id) {
+    id = window.crypto && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+    localStorage.setItem(PARTICIPANT_KEY, id)
+  }
+  return id
+}
+
+// What we need to join again: with a class roster, also who we are on it
+function sessionOf({ pollId, name, classStudentId, unlisted }) {
+  return { pollId, name, classStudentId, unlisted }
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null
+  } catch {
+    return null
+  }
+}
+
+export function StudentView({ initialCode = '', onBack }) {
   const [socket, setSocket] = useState(null)
-  const [name, setName] = useState('')
+  const [name, setName] = useState(() => (loadSession() || {}).name || '')
+  const [joinCode, setJoinCode] = useState(() => initialCode || (loadSession() || {}).pollId || '')
+  const [joinError, setJoinError] = useState('')
   const [ready, setReady] = useState(false)
+  const [waiting, setWaiting] = useState(false) // in the teacher's waiting room
   const [currentQuestion, setCurrentQuestion] = useState(null)
   const [selected, setSelected] = useState(null)
   const [results, setResults] = useState(null)
@@ -18,6 +52,20 @@ export function StudentView({ onBack }) {
   const [lastQuestionText, setLastQuestionText] = useState('')
   const [chatOpen, setChatOpen] = useState(false)
   const [kicked, setKicked] = useState(false)
+  const [myResult, setMyResult] = useState(null)
+  const [chatEnabled, setChatEnabled] = useState(true)
+  const [muted, setMuted] = useState(false)
+  const [chatError, setChatError] = useState('')
+  const [chatHasMore, setChatHasMore] = useState(false)
+  const [submitError, setSubmitError] = useState('')
+  const [playlist, setPlaylist] = useState(null) // set while the teacher runs a playlist
+  const [breakLeft, setBreakLeft] = useState(0)
+  const [gameMode, setGameMode] = useState(false)
+  const [leaderboard, setLeaderboard] = useState([]) // top of the table only
+  const [myScore, setMyScore] = useState(null) // { rank, of, points, streak, lastPoints }
+  const [podium, setPodium] = useState(null)
+  const [pollClosed, setPollClosed] = useState(false)
+  const [classList, setClassList] = useState(null) // the teacher's class roster, once our name was not on it
 
   useEffect(() => {
     const s = io(SERVER_URL, {
@@ -28,39 +76,105 @@ export function StudentView({ onBack }) {
       withCredentials: false
     })
     setSocket(s)
+    // Rejoin automatically on page refresh and after every reconnect
+    s.on('connect', () => {
+      const session = loadSession()
+      if (session) joinPoll(s, session)
+    })
     s.on('connect_error', (err) => {
       console.error('Socket connect_error', err)
     })
     s.on('error', (err) => {
       console.error('Socket error', err)
     })
+    s.on('student:waiting', (payload) => {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(sessionOf(payload)))
+      setJoinError('')
+      setClassList(null)
+      setWaiting(true)
+    })
+    // Admitted from the waiting room: join again to get the poll state
+    s.on('student:admitted', () => {
+      const session = loadSession()
+      if (session) joinPoll(s, session)
+    })
+    s.on('student:rejected', () => {
+      localStorage.removeItem(SESSION_KEY)
+      setWaiting(false)
+      setJoinError('The teacher did not let you into this poll')
+    })
     s.on('student:ready', (payload) => {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(sessionOf(payload)))
+      setName(payload.name)
+      setJoinError('')
+      setClassList(null)
+      setWaiting(false)
+      setReady(true)
+      if (payload.currentQuestion) syncClock(payload.currentQuestion.serverNow)
       setCurrentQuestion(payload.currentQuestion)
       setPastQuestions(payload.pastQuestions)
+      setResults(payload.results)
+      if (payload.playlist) syncClock(payload.playlist.serverNow)
+      setPlaylist(payload.playlist)
+      setGameMode(payload.gameMode)
+      setLeaderboard(payload.leaderboard)
+      setMyScore(payload.myScore)
+      setChatEnabled(payload.chatEnabled)
+      setChat(payload.chat.messages)
+      setChatHasMore(payload.chat.hasMore)
+      setMuted(payload.muted)
+      setSelected(payload.myAnswer)
+      setHasSubmitted(payload.myAnswer != null)
+      if (payload.currentQuestion) setLastQuestionText(payload.currentQuestion.text)
     })
     s.on('questionAsked', (q) => {
+      syncClock(q.serverNow)
       setCurrentQuestion(q)
       setSelected(null)
       setResults(null)
-      setTimeLeft(q.durationSec)
+      setTimeLeft(secondsLeft(q))
       setHasSubmitted(false)
       setLastQuestionText(q.text || '')
+      setMyResult(null)
+      setSubmitError('')
+      setPodium(null)
+    })
+    // Teacher paused, resumed or extended the countdown
+    s.on('timer:update', (t) => {
+      syncClock(t.serverNow)
+      setCurrentQuestion((q) => (q && q.id === t.questionId ? { ...q, ...t } : q))
     })
     s.on('results:update', (r) => setResults(r))
+    s.on('game:settings', ({ enabled }) => setGameMode(enabled))
+    s.on('leaderboard:update', setLeaderboard)
+    s.on('student:score', setMyScore)
+    s.on('leaderboard:podium', setPodium)
+    s.on('playlist:update', (p) => {
+      if (p) syncClock(p.serverNow)
+      setPlaylist(p)
+    })
     s.on('questionFinished', (r) => {
-      setResults({
-        questionId: r.questionId,
-        options: r.options,
-        totalAnswers: r.totalAnswers,
-      })
+      setResults(r)
       setCurrentQuestion(null)
       setPastQuestions((p) => [r, ...p])
       setHasSubmitted(false)
       if (r.text) setLastQuestionText(r.text)
     })
+    s.on('student:result', setMyResult)
     s.on('chat:message', (m) => setChat((c) => [...c, m]))
+    s.on('chat:deleted', ({ id }) => setChat((c) => c.filter((m) => m.id !== id)))
+    s.on('chat:settings', ({ enabled }) => setChatEnabled(enabled))
+    s.on('chat:muted', ({ muted }) => setMuted(muted))
     
+    // Results stay on screen; students still in the waiting room go back to the join form
+    s.on('poll:closed', () => {
+      localStorage.removeItem(SESSION_KEY)
+      setPollClosed(true)
+      setWaiting(false)
+      setJoinError('The teacher has ended this session')
+    })
     s.on('student:kicked', () => {
+    localStorage.removeItem(SESSION_KEY)
     setKicked(true)
   })
 
@@ -70,36 +184,127 @@ export function StudentView({ onBack }) {
   
   useEffect(() => {
     if (!currentQuestion) return
-    setTimeLeft(currentQuestion.durationSec)
+    setTimeLeft(secondsLeft(currentQuestion))
     const id = setInterval(() => {
-      setTimeLeft((t) => Math.max(0, t - 1))
+      setTimeLeft(secondsLeft(currentQuestion))
     }, 1000)
     return () => clearInterval(id)
-  }, [currentQuestion?.id])
+  }, [currentQuestion?.id, currentQuestion?.endsAt, currentQuestion?.paused, currentQuestion?.remainingMs])
+
+  // Countdown to the next playlist question while results are on show
+  useEffect(() => {
+    if (!playlist || !playlist.breakEndsAt) return
+    const tick = () => setBreakLeft(secondsLeft({ endsAt: playlist.breakEndsAt }))
+    tick()
+    const id = setInterval(tick, 1000)
+    return () => clearInterval(id)
+  }, [playlist?.breakEndsAt])
+
+  const canJoin = name.trim() && joinCode.trim()
+
+  // The poll state itself arrives in student:ready; the acknowledgement only reports refusals
+  const joinPoll = (s, { pollId, name, classStudentId, unlisted }) =>
+    request(s, 'student:init', { pollId, name, classStudentId, unlisted, participantId: getParticipantId() }).then((res) => {
+      if (res.ok || res.error.code === 'TIMEOUT') return
+      localStorage.removeItem(SESSION_KEY)
+      setWaiting(false)
+      setReady(false)
+      if (res.error.code === 'NOT_ON_CLASS_LIST') return showClassList(s, pollId)
+      setJoinError(res.error.message)
+    })
+
+  // Our name is not on the teacher's class roster: let the student pick theirs from it
+  const showClassList = (s, pollId) =>
+    request(s, 'student:classList', { pollId }).then((res) => {
+      setJoinError(res.ok ? '' : res.error.message)
+      setClassList(res.ok ? res.classList : null)
+    })
+
+  useEffect(() => {
+    setClassList(null)
+  }, [joinCode, name])
+
+  // Names that share a word with what was typed come first
+  const classListChoices = useMemo(() => {
+    if (!classList) return []
+    const words = name.toLowerCase().split(/\s+/).filter(Boolean)
+    const score = (c) => c.name.toLowerCase().split(/\s+/).filter((w) => words.includes(w)).length
+    return [...classList].sort((a, b) => score(b) - score(a) || a.name.localeCompare(b.name))
+  }, [classList, name])
 
   const join = () => {
-    if (!name.trim()) return
-    socket.emit('student:init', { name: name.trim() })
-    setReady(true)
+    if (!canJoin) return
+    setJoinError('')
+    joinPoll(socket, { pollId: joinCode.trim(), name: name.trim() })
+  }
+
+  const joinAs = (classStudentId) => {
+    setJoinError('')
+    joinPoll(socket, { pollId: joinCode.trim(), classStudentId })
+  }
+
+  // Joining under a name that is not on the class roster; the teacher sees it flagged
+  const joinUnlisted = () => {
+    setJoinError('')
+    joinPoll(socket, { pollId: joinCode.trim(), name: name.trim(), unlisted: true })
+  }
+
+  const questionType = currentQuestion ? currentQuestion.type || 'single' : null
+
+  // `selected` holds the answer in whatever shape the question type needs:
+  // an option id, an array of option ids (multi), or the raw input text (numeric/text)
+  const hasAnswer = (() => {
+    if (selected == null) return false
+    if (questionType === 'multi') return selected.length > 0
+    if (questionType === 'numeric') return String(selected).trim() !== '' && Number.isFinite(Number(selected))
+    if (questionType === 'text') return String(selected).trim() !== ''
+    return Boolean(selected)
+  })()
+
+  const toggleOption = (id) => {
+    if (questionType !== 'multi') return setSelected(id)
+    const current = Array.isArray(selected) ? selected : []
+    setSelected(current.includes(id) ? current.filter((x) => x !== id) : [...current, id])
   }
 
+  const isOptionSelected = (id) =>
+    questionType === 'multi' ? Array.isArray(selected) && selected.includes(id) : selected === id
+
   const submit = () => {
-    if (!currentQuestion || !selected) return
-    socket.emit('student:submit', { questionId: currentQuestion.id, optionId: selected })
+    if (!currentQuestion || !hasAnswer) return
+    const answer = questionType === 'numeric' ? Number(selected) : questionType === 'text' ? String(selected).trim() : selected
+    setSubmitError('')
     setHasSubmitted(true)
+    request(socket, 'student:submit', { questionId: currentQuestion.id, answer }).then((res) => {
+      if (res.ok || res.error.code === 'ALREADY_ANSWERED') return
+      // Let the student try again unless the question is over
+      setHasSubmitted(false)
+      setSubmitError(res.error.code === 'QUESTION_CLOSED'
+        ? 'Your answer was not recorded: this question had already closed.'
+        : res.error.code === 'POLL_CLOSED'
+          ? 'Your answer was not recorded: the teacher has ended this session.'
+          : res.error.message)
+    })
+  }
+
+  // Scrolling to the top of the chat asks the server for the page before the oldest message
+  const loadOlderChat = (e) => {
+    if (e.target.scrollTop > 0 || !chatHasMore || !chat.length) return
+    request(socket, 'chat:history', { before: chat[0].id }).then((res) => {
+      if (!res.ok) return
+      setChat((c) => [...res.messages.filter((m) => !c.some((x) => x.id === m.id)), ...c])
+      setChatHasMore(res.hasMore)
+    })
   }
 
   const sendMsg = () => {
     if (!msg.trim()) return
-    socket.emit('chat:send', { from: name, message: msg, role: 'student' })
-    setMsg('')
+    request(socket, 'chat:send', { message: msg }).then((res) => {
+      setChatError(res.ok ? '' : res.error.message)
+      if (res.ok) setMsg('')
+    })
   }
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60)
-    const secs = seconds % 60
-    return `${mins}:${secs.toString().padStart(2, '0')}`
-  }
    
   // 👇 kicked out UI
   if (kicked) {
@@ -130,7 +335,40 @@ export function StudentView({ onBack }) {
         </h2>
         <p style={{ fontSize: 16, color: '#6E6E6E' }}>
           Looks like the teacher has removed you from the poll system.<br />
-          Please try again sometime.
+          You can't rejoin this poll unless your teacher lets you back in.
+        </p>
+      </div>
+    )
+  }
+
+  if (waiting) {
+    return (
+      <div style={{
+        fontFamily: 'Inter, system-ui, Arial',
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        flexDirection: 'column',
+        backgroundColor: '#fff',
+        textAlign: 'center',
+        padding: 20
+      }}>
+        <div style={{
+          backgroundColor: '#7765DA',
+          color: 'white',
+          padding: '6px 14px',
+          borderRadius: 12,
+          fontWeight: 600,
+          marginBottom: 24
+        }}>
+          ✨ Intervue Poll
+        </div>
+        <h2 style={{ fontSize: 28, fontWeight: 700, color: '#1D1D1F', marginBottom: 12 }}>
+          Waiting to be let in…
+        </h2>
+        <p style={{ fontSize: 16, color: '#6E6E6E' }}>
+          Your teacher will admit you to the poll shortly.
         </p>
       </div>
     )
@@ -175,7 +413,27 @@ export function StudentView({ onBack }) {
             If you’re a student, you’ll be able to <strong>submit your answers</strong>, participate in live polls, and see how your responses compare with your classmates
           </p>
 
-          {/* Name input only */}
+          <div style={{ textAlign: 'left', marginBottom: 12, fontWeight: 600, color: '#373737' }}>Join Code</div>
+          <input
+            type="text"
+            placeholder="6-character code from your teacher"
+            value={joinCode}
+            maxLength={6}
+            onChange={(e) => setJoinCode(e.target.value)}
+            style={{
+              width: '95%',
+              padding: '14px 16px',
+              border: '2px solid #E0E0E0',
+              borderRadius: 8,
+              fontSize: 16,
+              letterSpacing: 2,
+              outline: 'none',
+              marginBottom: 16
+            }}
+            onFocus={(e) => (e.target.style.borderColor = '#7765DA')}
+            onBlur={(e) => (e.target.style.borderColor = '#E0E0E0')}
+          />
+
           <div style={{ textAlign: 'left', marginBottom: 12, fontWeight: 600, color: '#373737' }}>Enter your Name</div>
           <input
             type="text"
@@ -195,19 +453,60 @@ export function StudentView({ onBack }) {
             onBlur={(e) => (e.target.style.borderColor = '#E0E0E0')}
           />
 
+          {classList && (
+            <div style={{ textAlign: 'left', marginBottom: 16 }}>
+              <div style={{ fontSize: 14, color: '#373737', marginBottom: 8 }}>
+                “{name.trim()}” is not on your teacher’s class list. Pick your name:
+              </div>
+              <div style={{ maxHeight: 220, overflowY: 'auto', border: '1px solid #E0E0E0', borderRadius: 8 }}>
+                {classListChoices.map((c) => (
+                  <button
+                    key={c.id}
+                    onClick={() => joinAs(c.id)}
+                    disabled={c.taken}
+                    style={{
+                      display: 'block',
+                      width: '100%',
+                      textAlign: 'left',
+                      padding: '10px 14px',
+                      border: 'none',
+                      borderBottom: '1px solid #F0F0F0',
+                      backgroundColor: 'white',
+                      color: c.taken ? '#9E9E9E' : '#373737',
+                      fontSize: 15,
+                      cursor: c.taken ? 'not-allowed' : 'pointer'
+                    }}
+                  >
+                    {c.name}{c.taken ? ' (already joined)' : ''}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={joinUnlisted}
+                style={{ marginTop: 8, padding: 0, border: 'none', background: 'none', color: '#7765DA', fontSize: 14, cursor: 'pointer' }}
+              >
+                I’m not on the list, join as “{name.trim()}”
+              </button>
+            </div>
+          )}
+
+          {joinError && (
+            <div style={{ color: '#E53935', fontSize: 14, marginBottom: 16 }}>{joinError}</div>
+          )}
+
           <button
             onClick={join}
-            disabled={!name.trim()}
+            disabled={!canJoin}
             style={{
               width: 200,
-              background: name.trim() ? 'linear-gradient(90deg, #7765DA, #4F0DCE)' : '#E0E0E0',
-              color: name.trim() ? 'white' : '#9E9E9E',
+              background: canJoin ? 'linear-gradient(90deg, #7765DA, #4F0DCE)' : '#E0E0E0',
+              color: canJoin ? 'white' : '#9E9E9E',
               border: 'none',
               borderRadius: 12,
               padding: '14px 20px',
               fontSize: 16,
               fontWeight: 600,
-              cursor: name.trim() ? 'pointer' : 'not-allowed'
+              cursor: canJoin ? 'pointer' : 'not-allowed'
             }}
           >
             Continue
@@ -242,7 +541,7 @@ export function StudentView({ onBack }) {
       {/* Waiting state only when there is no current question and no results to show */}
       {!currentQuestion && !results && (
         <div style={{ textAlign: 'center', marginTop: 40 }}>
-          <div style={{
+          {!pollClosed && <div style={{
             width: 44,
             height: 44,
             margin: '0 auto 16px',
@@ -250,8 +549,8 @@ export function StudentView({ onBack }) {
             borderTop: '4px solid #7765DA',
             borderRadius: '50%',
             animation: 'spin 1s linear infinite'
-          }}></div>
-          <h2 style={{ color: '#373737' }}>Wait for the teacher to ask questions..</h2>
+          }}></div>}
+          <h2 style={{ color: '#373737' }}>{pollClosed ? 'The teacher has ended this session.' : 'Wait for the teacher to ask questions..'}</h2>
         </div>
       )}
 
@@ -263,11 +562,21 @@ export function StudentView({ onBack }) {
         <div style={{ maxWidth: 860, margin: '0 auto' }}>
           {/* Title row */}
           <div style={{ display: 'flex', alignItems: 'center', gap: 16, marginBottom: 10 }}>
-            <div style={{ fontSize: 18, fontWeight: 700, color: '#1D1D1F' }}>Question 1</div>
+            <div style={{ fontSize: 18, fontWeight: 700, color: '#1D1D1F' }}>
+              {currentQuestion.sequence
+                ? `Question ${currentQuestion.sequence.number} of ${currentQuestion.sequence.total}`
+                : `Question ${pastQuestions.length + 1}`}
+            </div>
             <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontWeight: 700, color: '#E53935' }}>
               <span role="img" aria-label="timer">⏱️</span>
               <span>{formatTime(timeLeft)}</span>
+              {currentQuestion.paused && <span style={{ color: '#6E6E6E', fontSize: 14 }}>(paused)</span>}
             </div>
+            {gameMode && myScore && (
+              <div style={{ marginLeft: 'auto', fontSize: 14, fontWeight: 600, color: '#7765DA' }}>
+                Rank {myScore.rank} of {myScore.of} · {myScore.points} pts
+              </div>
+            )}
           </div>
 
           {/* Question card */}
@@ -290,15 +599,48 @@ export function StudentView({ onBack }) {
               {currentQuestion.text}
             </div>
 
+            {currentQuestion.anonymous && (
+              <div style={{ padding: '10px 14px 0', fontSize: 13, color: '#6E6E6E' }}>
+                Anonymous question: your teacher will not see who gave which answer.
+              </div>
+            )}
+
+            {/* free-form answers */}
+            {(questionType === 'numeric' || questionType === 'text') && (
+              <div style={{ padding: 14 }}>
+                <input
+                  type={questionType === 'numeric' ? 'number' : 'text'}
+                  value={selected == null ? '' : selected}
+                  onChange={(e) => setSelected(e.target.value)}
+                  disabled={hasSubmitted}
+                  maxLength={80}
+                  placeholder={questionType === 'numeric' ? 'Enter a number' : 'Type a short answer'}
+                  style={{
+                    width: '95%',
+                    padding: '14px 16px',
+                    border: '2px solid #E0E0E0',
+                    borderRadius: 8,
+                    fontSize: 16,
+                    outline: 'none'
+                  }}
+                />
+              </div>
+            )}
+
             {/* options */}
-            <div style={{ padding: 14, display: 'flex', flexDirection: 'column', gap: 12 }}>
+            {currentQuestion.options && (
+            <div style={{ padding: 14, display: 'flex', flexDirection: questionType === 'rating' ? 'row' : 'column', gap: 12 }}>
+              {questionType === 'multi' && (
+                <div style={{ fontSize: 13, color: '#6E6E6E' }}>Select all that apply</div>
+              )}
               {currentQuestion.options.map((opt, idx) => {
-                const isSelected = selected === opt.id
+                const isSelected = isOptionSelected(opt.id)
                 return (
                   <div
                     key={opt.id}
-                    onClick={() => setSelected(opt.id)}
+                    onClick={() => !hasSubmitted && toggleOption(opt.id)}
                     style={{
+                      flex: questionType === 'rating' ? 1 : undefined,
                       padding: 14,
                       borderRadius: 8,
                       background: '#F6F6F6',
@@ -315,31 +657,58 @@ export function StudentView({ onBack }) {
                         display: 'flex', alignItems: 'center', justifyContent: 'center',
                         fontSize: 12, color: '#5A5A5A', fontWeight: 700
                       }}>{idx + 1}</div>
-                      <div>{opt.text}</div>
+                      <div>{questionType === 'rating' ? `${opt.text} ★` : opt.text}</div>
                     </div>
                   </div>
                 )
               })}
             </div>
+            )}
           </div>
 
           {!hasSubmitted && (
             <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
-              <button onClick={submit} disabled={!selected} style={{
+              <button onClick={submit} disabled={!hasAnswer} style={{
                 marginTop: 18,
                 minWidth: 160,
-                background: selected ? 'linear-gradient(90deg, #7765DA, #4F0DCE)' : '#E0E0E0',
-                color: selected ? 'white' : '#9E9E9E',
+                background: hasAnswer ? 'linear-gradient(90deg, #7765DA, #4F0DCE)' : '#E0E0E0',
+                color: hasAnswer ? 'white' : '#9E9E9E',
                 border: 'none',
                 borderRadius: 20,
                 padding: '12px 20px',
                 fontSize: 14,
                 fontWeight: 700,
-                cursor: selected ? 'pointer' : 'not-allowed'
+                cursor: hasAnswer ? 'pointer' : 'not-allowed'
               }}>Submit</button>
             </div>
           )}
 
+          {/* Live tally, only sent by the server when the teacher shows results while answering */}
+          {hasSubmitted && results && results.questionId === currentQuestion.id && (
+            <div style={{ marginTop: 18, backgroundColor: 'white', borderRadius: 10, padding: 14, boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+              <div style={{ fontSize: 14, fontWeight: 700, color: '#373737' }}>Live results</div>
+              <ResultsChart results={results} />
+            </div>
+          )}
+
+        </div>
+      )}
+
+      {submitError && (
+        <div style={{ maxWidth: 860, margin: '0 auto 16px', color: '#E53935', fontSize: 14, textAlign: 'right' }}>
+          {submitError}
+        </div>
+      )}
+
+      {podium && !currentQuestion && (
+        <div style={{ maxWidth: 860, margin: '0 auto 24px', backgroundColor: 'white', borderRadius: 10, padding: 24, boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+          <h2 style={{ textAlign: 'center', color: '#373737', margin: '0 0 16px' }}>🏆 Final standings</h2>
+          <Podium podium={podium} />
+          {myScore && (
+            <div style={{ textAlign: 'center', marginTop: 16, fontSize: 14, color: '#373737' }}>
+              You finished <strong>#{myScore.rank}</strong> of {myScore.of} with {myScore.points} points
+            </div>
+          )}
         </div>
       )}
 
@@ -367,8 +736,25 @@ export function StudentView({ onBack }) {
         {lastQuestionText}
       </div>
 
+      {results.hidden && (
+        <div style={{ padding: 14, color: '#6E6E6E', fontSize: 14 }}>
+          Your teacher has chosen not to share the results of this question.
+        </div>
+      )}
+
+      {/* histogram / word cloud for the free-form question types */}
+      {!results.hidden && !results.options && (
+        <div style={{ padding: 14 }}>
+          <ResultsChart results={results} />
+        </div>
+      )}
+
       {/* options with percentage bars */}
+      {results.options && (
       <div style={{ padding: 14, display: 'flex', flexDirection: 'column', gap: 12 }}>
+        {results.type === 'rating' && results.average != null && (
+          <div style={{ color: '#373737', fontSize: 14, fontWeight: 600 }}>Average rating: {results.average} / 5</div>
+        )}
         {results.options.map((o, idx) => {
           const pct = results.totalAnswers > 0 ? Math.round((o.count / results.totalAnswers) * 100) : 0
           return (
@@ -380,7 +766,7 @@ export function StudentView({ onBack }) {
             }}>
               {/* option text + percentage */}
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, color: '#373737', fontSize: 14, fontWeight: 600 }}>
-                <span>{String.fromCharCode(65 + idx)}. {o.text}</span>
+                <span>{results.type === 'rating' ? `${o.text} ★` : `${String.fromCharCode(65 + idx)}. ${o.text}${o.isCorrect ? ' ✓' : ''}`}</span>
                 <span>{pct}%</span>
               </div>
 
@@ -392,11 +778,36 @@ export function StudentView({ onBack }) {
           )
         })}
       </div>
+      )}
     </div>
 
+    {/* Whether this student's answer was right */}
+    {myResult && myResult.questionId === results.questionId && (
+      <div style={{ textAlign: 'center', marginTop: 18, fontWeight: 700, color: myResult.correct ? '#2E7D32' : '#E53935' }}>
+        {myResult.correct ? '✅ You got it right!' : '❌ Your answer was incorrect.'}
+      </div>
+    )}
+
+    {/* Competitive mode: what this question earned and where that leaves us */}
+    {gameMode && myScore && (
+      <div style={{ textAlign: 'center', marginTop: 12, fontSize: 14, color: '#373737' }}>
+        <strong>+{myScore.lastPoints || 0} points</strong> · Rank {myScore.rank} of {myScore.of} · {myScore.points} total
+        {myScore.streak > 1 && <span style={{ color: '#E65100' }}> · 🔥 {myScore.streak} in a row</span>}
+      </div>
+    )}
+    {gameMode && leaderboard.length > 0 && (
+      <div style={{ maxWidth: 420, margin: '12px auto 0' }}>
+        <Leaderboard rows={leaderboard} highlight={name.trim()} />
+      </div>
+    )}
+
     {/* Wait message */}
     <div style={{ textAlign: 'center', marginTop: 18, color: '#1D1D1F', fontWeight: 700 }}>
-      Wait for the teacher to ask a new question..
+      {pollClosed
+        ? 'The teacher has ended this session.'
+        : playlist && playlist.breakEndsAt
+          ? `Question ${playlist.number + 1} of ${playlist.total} starts in ${breakLeft}s`
+          : 'Wait for the teacher to ask a new question..'}
     </div>
   </div>
 )}
@@ -450,25 +861,34 @@ export function StudentView({ onBack }) {
             <div style={{ fontWeight: 700, color: '#373737' }}>Chat</div>
             <button onClick={() => setChatOpen(false)} style={{ border: 'none', background: 'transparent', fontSize: 18, cursor: 'pointer', color: '#6E6E6E' }}>×</button>
           </div>
-          <div style={{ height: 260, overflowY: 'auto', padding: 10, background: '#FAFAFA' }}>
+          <div onScroll={loadOlderChat} style={{ height: 260, overflowY: 'auto', padding: 10, background: '#FAFAFA' }}>
+            {chatHasMore && (
+              <div style={{ color: '#9E9E9E', fontSize: 12, textAlign: 'center', marginBottom: 8 }}>Scroll up for earlier messages</div>
+            )}
             {chat.length === 0 ? (
               <div style={{ color: '#6E6E6E', fontSize: 13, textAlign: 'center', marginTop: 40 }}>No messages yet</div>
             ) : (
               chat.map((m) => (
                 <div key={m.id} style={{ marginBottom: 8, background: m.role === 'teacher' ? '#F0F4FF' : '#FFFFFF', border: '1px solid #EFEFEF', borderRadius: 8, padding: '6px 10px' }}>
                   <div style={{ fontSize: 12, fontWeight: 700, color: m.role === 'teacher' ? '#7765DA' : '#6E6E6E', marginBottom: 2 }}>
-                    {m.role === 'teacher' ? 'Teacher' : (m.from || 'Student')}
+                    {m.role === 'teacher' ? (m.from || 'Teacher') : (m.from || 'Student')}
                   </div>
                   <div style={{ fontSize: 14, color: '#373737' }}>{m.message}</div>
                 </div>
               ))
             )}
           </div>
+          {(chatError || !chatEnabled || muted) && (
+            <div style={{ padding: '6px 12px', fontSize: 12, color: '#E53935', background: 'white' }}>
+              {!chatEnabled ? 'Chat is turned off' : muted ? 'You have been muted by the teacher' : chatError}
+            </div>
+          )}
           <div style={{ display: 'flex', gap: 8, padding: 10, background: 'white', borderTop: '1px solid #EFEFEF' }}>
             <input
               type="text"
               value={msg}
               onChange={(e) => setMsg(e.target.value)}
+              disabled={!chatEnabled || muted}
               placeholder="Type a message..."
               onKeyDown={(e) => { if (e.key === 'Enter') sendMsg() }}
               style={{ flex: 1, padding: '10px 12px', border: '2px solid #E0E0E0', borderRadius: 8, outline: 'none', fontSize: 14 }}
@@ -1,12 +1,98 @@
 import React, { useEffect, useMemo, useState } from 'react'
 import { io } from 'socket.io-client'
+import { QRCodeSVG } from 'qrcode.react'
+import { ResultsChart } from './ResultsChart'
+import { QuestionBankPanel } from './QuestionBankPanel'
+import { PollHistory } from './PollHistory'
+import { PlaylistPanel } from './PlaylistPanel'
+import { Leaderboard, Podium } from './Leaderboard'
+import { WebhooksPanel } from './WebhooksPanel'
+import { ClassRosterPanel } from './ClassRosterPanel'
+import { syncClock, secondsLeft, formatTime } from './clock'
+import { request } from './socketRequest'
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:4000'
+const TEACHER_SESSIONS_KEY = 'livepoll:teacherSessions'
+const LEGACY_SESSION_KEY = 'livepoll:teacherSession'
+const TEACHER_TOKEN_KEY = 'livepoll:teacherToken'
 
-export function TeacherView({ onBack }) {
+const DEFAULT_BREAK_SEC = 5
+
+const QUESTION_TYPES = [
+  { value: 'single', label: 'Single choice' },
+  { value: 'multi', label: 'Multiple choice' },
+  { value: 'truefalse', label: 'True / False' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'text', label: 'Short text' },
+  { value: 'rating', label: 'Rating (1–5)' }
+]
+
+// Every poll this browser hosts, newest first: { pollId, token, role }. Each one can be
+// open in its own tab at /teach/<pollId>, so sections can run side by side.
+function loadTeacherSessions() {
+  try {
+    const sessions = JSON.parse(localStorage.getItem(TEACHER_SESSIONS_KEY)) || []
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_SESSION_KEY))
+    if (legacy && !sessions.some((s) => s.pollId === legacy.pollId)) sessions.push({ ...legacy, role: 'owner' })
+    return sessions
+  } catch {
+    return []
+  }
+}
+
+function saveTeacherSessions(sessions) {
+  localStorage.setItem(TEACHER_SESSIONS_KEY, JSON.stringify(sessions))
+  localStorage.removeItem(LEGACY_SESSION_KEY)
+}
+
+function rememberTeacherSession(session) {
+  saveTeacherSessions([session, ...loadTeacherSessions().filter((s) => s.pollId !== session.pollId)])
+}
+
+// Keeps a saved session's place in the list; a session forgotten meanwhile stays forgotten
+function updateTeacherSession(pollId, changes) {
+  saveTeacherSessions(loadTeacherSessions().map((s) => (s.pollId === pollId ? { ...s, ...changes } : s)))
+}
+
+function forgetTeacherSession(pollId) {
+  saveTeacherSessions(loadTeacherSessions().filter((s) => s.pollId !== pollId))
+}
+
+// Who the teacher is across polls (their class rosters and question bank). Kept apart from the
+// poll sessions, so archiving or losing every poll does not lose it.
+function loadTeacherToken() {
+  return localStorage.getItem(TEACHER_TOKEN_KEY)
+}
+
+function saveTeacherToken(teacherToken) {
+  if (teacherToken) localStorage.setItem(TEACHER_TOKEN_KEY, teacherToken)
+}
+
+// Co-teacher invite links look like /teach/<pollId>#token=<token>
+function takeInviteToken() {
+  const match = window.location.hash.match(/^#token=(.+)$/)
+  if (!match) return null
+  window.history.replaceState(null, '', window.location.pathname)
+  return decodeURIComponent(match[1])
+}
+
+// requestedPollId comes from /teach/<pollId>; 'new' always starts a fresh poll
+export function TeacherView({ onBack, requestedPollId = '' }) {
   const [socket, setSocket] = useState(null)
   const [pollId, setPollId] = useState('')
+  const [token, setToken] = useState('')
+  const [hostRole, setHostRole] = useState('owner') // 'owner' or 'cohost'
+  const [pollStatus, setPollStatus] = useState('open')
+  const [hosts, setHosts] = useState([])
+  const [inviteName, setInviteName] = useState('')
+  const [inviteLink, setInviteLink] = useState('')
+  const [sessions, setSessions] = useState(loadTeacherSessions)
   const [students, setStudents] = useState([])
+  const [waiting, setWaiting] = useState([])
+  const [bans, setBans] = useState([])
+  const [lobbyEnabled, setLobbyEnabled] = useState(false)
+  const [rosterLocked, setRosterLocked] = useState(false)
+  const [classRoster, setClassRoster] = useState(null) // the roster students pick their name from
   const [currentQuestion, setCurrentQuestion] = useState(null)
   const [pastQuestions, setPastQuestions] = useState([])
   const [questionText, setQuestionText] = useState('')
@@ -15,78 +101,383 @@ export function TeacherView({ onBack }) {
     { id: 2, text: '', isCorrect: false }
   ])
   const [duration, setDuration] = useState(60)
+  const [questionType, setQuestionType] = useState('single')
+  const [trueFalseAnswer, setTrueFalseAnswer] = useState('true') // 'true', 'false' or 'none'
+  const [correctValue, setCorrectValue] = useState('')
+  const [tolerance, setTolerance] = useState('')
+  const [resultsVisibility, setResultsVisibility] = useState('live')
+  const [anonymous, setAnonymous] = useState(false)
   const [results, setResults] = useState(null)
+  const [timeLeft, setTimeLeft] = useState(0)
   const [chat, setChat] = useState([])
   const [msg, setMsg] = useState('')
 
   const [isChatOpen, setIsChatOpen] = useState(false)
+  const [chatEnabled, setChatEnabled] = useState(true)
+  const [chatError, setChatError] = useState('')
+  const [chatHasMore, setChatHasMore] = useState(false)
+  const [actionError, setActionError] = useState('')
+  const [playlist, setPlaylist] = useState(null) // the server's running playlist
+  const [queue, setQueue] = useState([]) // questions lined up for the next playlist
+  const [gameMode, setGameMode] = useState(false)
+  const [leaderboard, setLeaderboard] = useState([])
+  const [podium, setPodium] = useState(null)
   const [activeTab, setActiveTab] = useState("chat") // "chat" or "students"
+  const [copied, setCopied] = useState(false)
+
+  const joinLink = pollId ? `${window.location.origin}/join/${pollId}` : ''
 
   useEffect(() => {
-    const s = io(SERVER_URL, {
-      transports: ['websocket', 'polling'],
-      reconnection: true,
-      reconnectionAttempts: 10,
-      reconnectionDelay: 500,
-      withCredentials: false
-    })
-    setSocket(s)
+    let s = null
+    let cancelled = false
+
+    const start = (session) => {
+      s = io(SERVER_URL, {
+        transports: ['websocket', 'polling'],
+        reconnection: true,
+        reconnectionAttempts: 10,
+        reconnectionDelay: 500,
+        withCredentials: false,
+        auth: { token: session.token }
+      })
+      setSocket(s)
+      setToken(session.token)
+      rememberTeacherSession(session)
+      setSessions(loadTeacherSessions())
+      // Keep this poll in the address bar so a refresh comes back to it
+      window.history.replaceState(null, '', `/teach/${session.pollId}`)
+      listen(s, session.pollId, () => {
+        // Saved poll is gone or the token no longer verifies (e.g. a removed co-teacher, or not opened
+        // for a month): start over with a fresh poll
+        forgetTeacherSession(session.pollId)
+        s.disconnect()
+        if (cancelled) return
+        setActionError(`Poll ${session.pollId} is no longer available to you, so a new poll was started`)
+        createPoll()
+      })
+    }
+
+    // Create the poll over REST first; the owner token it returns authorizes this socket.
+    // Sending the teacher token keeps the teacher's rosters and bank; browsers from before
+    // teacher tokens send the token of a poll they created instead.
+    const createPoll = () => {
+      const owned = loadTeacherSessions().find((saved) => saved.role === 'owner')
+      const teacherToken = loadTeacherToken() || (owned && owned.token)
+      return fetch(`${SERVER_URL}/api/polls`, {
+        method: 'POST',
+        headers: teacherToken ? { Authorization: `Bearer ${teacherToken}` } : {}
+      })
+        .then((res) => res.json())
+        .then(({ teacherToken: freshTeacherToken, ...session }) => {
+          saveTeacherToken(freshTeacherToken)
+          if (cancelled) return
+          start({ ...session, role: 'owner' })
+        })
+        .catch((err) => console.error('Could not create poll', err))
+    }
+
+    const inviteToken = takeInviteToken()
+    const saved = loadTeacherSessions()
+    if (inviteToken && requestedPollId) start({ pollId: requestedPollId, token: inviteToken, role: 'cohost' })
+    else if (requestedPollId === 'new') createPoll()
+    else if (requestedPollId) {
+      const session = saved.find((s) => s.pollId === requestedPollId)
+      if (session) start(session)
+      else {
+        setActionError(`This browser has no access to poll ${requestedPollId}, so a new poll was started`)
+        createPoll()
+      }
+    } else if (saved.length) start(saved[0])
+    else createPoll()
+
+    return () => {
+      cancelled = true
+      if (s) s.disconnect()
+    }
+  }, [])
+
+  const listen = (s, ownPollId, onSessionInvalid) => {
+    // Runs on the first connect and again after every reconnect, restoring full state
     s.on('connect', () => {
-      s.emit('teacher:init', { pollId: null })
+      request(s, 'teacher:init', { pollId: ownPollId }).then((res) => {
+        if (!res.ok && ['NOT_AUTHORIZED', 'POLL_NOT_FOUND'].includes(res.error.code)) onSessionInvalid()
+      })
+    })
+    s.on('connect_error', (err) => {
+      if (err.message === 'Invalid owner token') return onSessionInvalid()
+      console.error('Socket connect_error', err)
     })
     s.on('teacher:ready', (payload) => {
+      // Every teacher:ready comes with a freshly issued token, so an open poll never expires
+      s.auth.token = payload.token
+      setToken(payload.token)
+      updateTeacherSession(payload.pollId, { token: payload.token })
+      saveTeacherToken(payload.teacherToken)
       setPollId(payload.pollId)
+      setHostRole(payload.role)
+      setPollStatus(payload.status)
+      setHosts(payload.hosts)
       setStudents(payload.students)
+      setWaiting(payload.waiting)
+      setBans(payload.bans)
+      setLobbyEnabled(payload.lobbyEnabled)
+      setRosterLocked(payload.rosterLocked)
+      setClassRoster(payload.classRoster)
+      if (payload.currentQuestion) syncClock(payload.currentQuestion.serverNow)
       setCurrentQuestion(payload.currentQuestion)
       setPastQuestions(payload.pastQuestions)
+      setResults(payload.results)
+      if (payload.playlist) syncClock(payload.playlist.serverNow)
+      setPlaylist(payload.playlist)
+      setGameMode(payload.gameMode)
+      setLeaderboard(payload.leaderboard)
+      setChatEnabled(payload.chatEnabled)
+      setChat(payload.chat.messages)
+      setChatHasMore(payload.chat.hasMore)
     })
     s.on('roster:update', setStudents)
+    s.on('classRoster:update', setClassRoster)
+    s.on('poll:closed', () => setPollStatus('closed'))
+    // Archived polls drop out of "Your polls"; this tab can still look at the results
+    s.on('poll:archived', () => {
+      setPollStatus('archived')
+      forgetTeacherSession(ownPollId)
+      setSessions(loadTeacherSessions())
+    })
+    s.on('lobby:update', setWaiting)
+    s.on('bans:update', setBans)
+    s.on('hosts:update', setHosts)
+    s.on('roster:settings', (settings) => {
+      setLobbyEnabled(settings.lobbyEnabled)
+      setRosterLocked(settings.rosterLocked)
+    })
     s.on('questionAsked', (q) => {
+      syncClock(q.serverNow)
       setCurrentQuestion(q)
       setResults(null)
     })
+    s.on('timer:update', (t) => {
+      syncClock(t.serverNow)
+      setCurrentQuestion((q) => (q && q.id === t.questionId ? { ...q, ...t } : q))
+    })
     s.on('results:update', setResults)
+    s.on('game:settings', ({ enabled }) => setGameMode(enabled))
+    s.on('leaderboard:update', (rows) => {
+      setLeaderboard(rows)
+      setPodium(null)
+    })
+    s.on('leaderboard:podium', setPodium)
+    s.on('playlist:update', (p) => {
+      if (p) syncClock(p.serverNow)
+      setPlaylist(p)
+    })
     s.on('questionFinished', (r) => {
-      setResults({
-        questionId: r.questionId,
-        options: r.options,
-        totalAnswers: r.totalAnswers,
-        studentsTotal: students.length
-      })
+      setResults((prev) => ({ ...r, studentsTotal: prev ? prev.studentsTotal : undefined }))
       setCurrentQuestion(null)
       setPastQuestions((p) => [r, ...p])
     })
     s.on('chat:message', (m) => setChat((c) => [...c, m]))
-    return () => s.disconnect()
-  }, [])
+    s.on('chat:deleted', ({ id }) => setChat((c) => c.filter((m) => m.id !== id)))
+    s.on('chat:settings', ({ enabled }) => setChatEnabled(enabled))
+  }
 
-  const canAsk = useMemo(() =>
-    !currentQuestion && questionText.trim() && options.some(o => o.text.trim()),
-    [currentQuestion, questionText, options]
+  useEffect(() => {
+    if (!currentQuestion) return
+    setTimeLeft(secondsLeft(currentQuestion))
+    const id = setInterval(() => setTimeLeft(secondsLeft(currentQuestion)), 1000)
+    return () => clearInterval(id)
+  }, [currentQuestion?.id, currentQuestion?.endsAt, currentQuestion?.paused, currentQuestion?.remainingMs])
+
+  // Sends a teacher action for this poll; a refusal shows up in the banner above the question card
+  const act = (event, extra = {}) =>
+    request(socket, event, { pollId, ...extra }).then((res) => {
+      setActionError(res.ok ? '' : res.error.message)
+      return res
+    })
+  const hasOptions = questionType === 'single' || questionType === 'multi'
+
+  const draftReady = useMemo(() =>
+    questionText.trim() && (!hasOptions || options.some(o => o.text.trim())),
+    [questionText, options, hasOptions]
   )
 
+  const playlistRunning = Boolean(playlist && playlist.status === 'running')
+  const canAsk = draftReady && !currentQuestion && !playlistRunning && pollStatus === 'open'
+
+  // Type-specific fields for teacher:askQuestion
+  const typeFields = () => {
+    if (hasOptions) {
+      return { options: options.filter(o => o.text.trim()).map(o => ({ text: o.text, isCorrect: o.isCorrect })) }
+    }
+    if (questionType === 'truefalse') {
+      return { correctValue: trueFalseAnswer === 'none' ? null : trueFalseAnswer === 'true' }
+    }
+    if (questionType === 'numeric') {
+      return { correctValue: correctValue.trim() === '' ? null : Number(correctValue), tolerance: Number(tolerance) || 0 }
+    }
+    return {}
+  }
+
+  const draftQuestion = () => ({
+    type: questionType,
+    text: questionText,
+    ...typeFields(),
+    durationSec: duration,
+    resultsVisibility,
+    anonymous
+  })
+
   const askQuestion = () => {
     if (!socket || !canAsk) return
-    socket.emit('teacher:askQuestion', {
-      pollId,
-      text: questionText,
-      options: options.filter(o => o.text.trim()).map(o => o.text),
-      durationSec: duration
+    act('teacher:askQuestion', draftQuestion()).then((res) => {
+      // Keep the draft when the server refused it, so it can be fixed and sent again
+      if (res.ok) clearDraft()
     })
+  }
+
+  const clearDraft = () => {
     setQuestionText('')
+    setCorrectValue('')
+    setTolerance('')
     setOptions([
       { id: 1, text: '', isCorrect: true },
       { id: 2, text: '', isCorrect: false }
     ])
   }
 
-  const removeStudent = (id) =>
-    socket && socket.emit('teacher:removeStudent', { pollId, studentId: id })
+  // Playlist items are question payloads plus breakSec; `key` only identifies them in the list
+  const queueQuestions = (questions) => setQueue((q) => [
+    ...q,
+    ...questions.map(({ type, text, options, correctValue, tolerance, durationSec, resultsVisibility, anonymous }) => ({
+      key: `${Date.now()}-${Math.random()}`,
+      type, text, options, correctValue, tolerance, durationSec, resultsVisibility, anonymous,
+      breakSec: DEFAULT_BREAK_SEC
+    }))
+  ])
+
+  const addToPlaylist = () => {
+    if (!draftReady) return
+    queueQuestions([draftQuestion()])
+    clearDraft()
+  }
+
+  const startPlaylist = () =>
+    act('teacher:startPlaylist', { questions: queue.map(({ key, ...q }) => q) }).then((res) => {
+      if (res.ok) setQueue([])
+    })
+
+  // Launch a saved question from the question bank as-is
+  const askBankQuestion = (q) => {
+    if (!socket || currentQuestion || playlistRunning) return Promise.resolve({ ok: false })
+    const { type, text, options, correctValue, tolerance, durationSec, resultsVisibility, anonymous } = q
+    return act('teacher:askQuestion', { type, text, options, correctValue, tolerance, durationSec, resultsVisibility, anonymous })
+  }
+
+  // Exports need the owner token, so fetch the file and hand it to the browser as a download
+  const downloadExport = (format, report) => {
+    const query = format === 'csv' ? `format=csv&report=${report}` : 'format=json'
+    fetch(`${SERVER_URL}/api/polls/${pollId}/export?${query}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error(`Export failed (${res.status})`)
+        return res.blob()
+      })
+      .then((blob) => {
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = format === 'csv' ? `poll-${pollId}-${report}.csv` : `poll-${pollId}.json`
+        link.click()
+        URL.revokeObjectURL(link.href)
+      })
+      .catch((err) => setActionError(err.message))
+  }
+
+  const removeStudent = (id) => act('teacher:removeStudent', { studentId: id })
+
+  const admitStudents = (ids) => act('teacher:admitStudents', { studentIds: ids })
+
+  const rejectStudent = (id) => act('teacher:rejectStudent', { studentId: id })
+
+  const liftBan = (id) => act('teacher:liftBan', { studentId: id })
+
+  const toggleLobby = () => act('teacher:setLobbyEnabled', { enabled: !lobbyEnabled })
+
+  const toggleRosterLock = () => act('teacher:setRosterLocked', { locked: !rosterLocked })
+
+  const setClassRosterId = (rosterId) => act('teacher:setClassRoster', { rosterId })
 
   const sendMsg = () => {
     if (!msg.trim()) return
-    socket.emit('chat:send', { pollId, from: 'Teacher', message: msg, role: 'teacher' })
-    setMsg('')
+    request(socket, 'chat:send', { pollId, message: msg }).then((res) => {
+      setChatError(res.ok ? '' : res.error.message)
+      if (res.ok) setMsg('')
+    })
+  }
+
+  // Scrolling to the top of the chat asks the server for the page before the oldest message
+  const loadOlderChat = (e) => {
+    if (e.target.scrollTop > 0 || !chatHasMore || !chat.length) return
+    request(socket, 'chat:history', { pollId, before: chat[0].id }).then((res) => {
+      if (!res.ok) return
+      setChat((c) => [...res.messages.filter((m) => !c.some((x) => x.id === m.id)), ...c])
+      setChatHasMore(res.hasMore)
+    })
+  }
+
+  const deleteMessage = (messageId) => act('teacher:deleteChatMessage', { messageId })
+
+  const setMuted = (studentId, muted) => act('teacher:muteStudent', { studentId, muted })
+
+  const toggleChat = () => act('teacher:setChatEnabled', { enabled: !chatEnabled })
+
+  const isMuted = (studentId) => students.some((s) => s.id === studentId && s.muted)
+
+  // The current poll keeps running and stays in the list of polls to switch back to
+  const startNewPoll = () => {
+    window.location.assign('/teach/new')
+  }
+
+  const endSession = () => {
+    if (window.confirm('End this session? Every student is told the poll is over and nobody can join or answer any more.')) {
+      act('teacher:closePoll')
+    }
+  }
+
+  const archivePoll = () => {
+    if (window.confirm('Archive this poll? Students are disconnected; the results stay available for history and export.')) {
+      act('teacher:archivePoll')
+    }
+  }
+
+  // Co-teachers are managed over REST with the owner token, like exports
+  const hostRequest = (path, options = {}) =>
+    fetch(`${SERVER_URL}/api/polls/${pollId}/hosts${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+    }).then((res) => {
+      if (!res.ok) throw new Error(`Request failed (${res.status})`)
+      return res.status === 204 ? null : res.json()
+    })
+
+  const inviteCoTeacher = () => {
+    hostRequest('', { method: 'POST', body: JSON.stringify({ name: inviteName }) })
+      .then(({ token: hostToken }) => {
+        setInviteName('')
+        setInviteLink(`${window.location.origin}/teach/${pollId}#token=${encodeURIComponent(hostToken)}`)
+      })
+      .catch((err) => setActionError(err.message))
+  }
+
+  const removeCoTeacher = (hostId) =>
+    hostRequest(`/${hostId}`, { method: 'DELETE' }).catch((err) => setActionError(err.message))
+
+  const copyJoinLink = () => {
+    if (!joinLink || !navigator.clipboard) return
+    navigator.clipboard.writeText(joinLink).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    })
   }
 
   const updateOption = (id, field, value) => {
@@ -177,11 +568,198 @@ export function TeacherView({ onBack }) {
         </button>
       </div>
 
+      {/* Join code + QR for students */}
+      {pollId && (
+        <div style={{
+          maxWidth: '800px',
+          margin: '0 auto 24px',
+          backgroundColor: 'white',
+          borderRadius: '16px',
+          padding: '20px 32px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '24px'
+        }}>
+          <div>
+            <div style={{ fontSize: '14px', color: '#6E6E6E', marginBottom: '4px' }}>Join code</div>
+            <div style={{ fontSize: '32px', fontWeight: '700', letterSpacing: '4px', color: '#373737' }}>{pollId}</div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+              <span style={{ fontSize: '14px', color: '#7765DA' }}>{joinLink}</span>
+              <button onClick={copyJoinLink} style={{
+                backgroundColor: 'white',
+                color: '#7765DA',
+                border: '1px solid #7765DA',
+                borderRadius: '6px',
+                padding: '4px 10px',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}>
+                {copied ? 'Copied!' : 'Copy link'}
+              </button>
+              <a href={`/present/${pollId}`} target="_blank" rel="noreferrer" style={{
+                color: '#7765DA',
+                border: '1px solid #7765DA',
+                borderRadius: '6px',
+                padding: '4px 10px',
+                fontSize: '12px',
+                textDecoration: 'none'
+              }}>
+                Presenter screen
+              </a>
+              {pollStatus === 'open' && (
+                <button onClick={endSession} style={{
+                  backgroundColor: 'white',
+                  color: '#FF6B6B',
+                  border: '1px solid #FF6B6B',
+                  borderRadius: '6px',
+                  padding: '4px 10px',
+                  fontSize: '12px',
+                  cursor: 'pointer'
+                }}>
+                  End session
+                </button>
+              )}
+              {pollStatus === 'closed' && (
+                <button onClick={archivePoll} style={{
+                  backgroundColor: 'white',
+                  color: '#6E6E6E',
+                  border: '1px solid #E0E0E0',
+                  borderRadius: '6px',
+                  padding: '4px 10px',
+                  fontSize: '12px',
+                  cursor: 'pointer'
+                }}>
+                  Archive
+                </button>
+              )}
+              <button onClick={startNewPoll} style={{
+                backgroundColor: 'white',
+                color: '#6E6E6E',
+                border: '1px solid #E0E0E0',
+                borderRadius: '6px',
+                padding: '4px 10px',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}>
+                New poll
+              </button>
+            </div>
+          </div>
+          <QRCodeSVG value={joinLink} size={112} />
+        </div>
+      )}
+
+      {/* Other polls hosted from this browser, and who else can run this one */}
+      {pollId && (
+        <div style={{
+          maxWidth: '800px',
+          margin: '0 auto 24px',
+          backgroundColor: 'white',
+          borderRadius: '16px',
+          padding: '20px 32px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+          fontSize: '14px',
+          color: '#373737'
+        }}>
+          {sessions.length > 1 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+              <span style={{ color: '#6E6E6E' }}>Your polls:</span>
+              {sessions.map((s) => (s.pollId === pollId
+                ? <strong key={s.pollId}>{s.pollId}</strong>
+                : <a key={s.pollId} href={`/teach/${s.pollId}`} style={{ color: '#7765DA' }}>
+                    {s.pollId}{s.role === 'cohost' ? ' (co-teaching)' : ''}
+                  </a>))}
+            </div>
+          )}
+          {hostRole === 'cohost' ? (
+            <div style={{ color: '#6E6E6E' }}>You are co-teaching this poll.</div>
+          ) : (
+            <>
+              <div style={{ fontWeight: '600', marginBottom: '8px' }}>Co-teachers</div>
+              {hosts.length === 0 && <div style={{ color: '#9E9E9E' }}>Invite a co-teacher or TA to run this poll with you.</div>}
+              {hosts.map((h) => (
+                <div key={h.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0' }}>
+                  <span>{h.name}</span>
+                  <button onClick={() => removeCoTeacher(h.id)} style={{ fontSize: '12px', color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                <input
+                  type="text"
+                  value={inviteName}
+                  onChange={(e) => setInviteName(e.target.value)}
+                  placeholder="Name, e.g. TA for section B"
+                  maxLength={40}
+                  style={{ flex: 1, padding: '6px 10px', border: '1px solid #DDD', borderRadius: '6px' }}
+                />
+                <button onClick={inviteCoTeacher} style={{
+                  backgroundColor: '#7765DA',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '6px',
+                  padding: '6px 12px',
+                  cursor: 'pointer'
+                }}>
+                  Invite
+                </button>
+              </div>
+              {inviteLink && (
+                <div style={{ marginTop: '8px', fontSize: '12px', color: '#6E6E6E', wordBreak: 'break-all' }}>
+                  Send this link to your co-teacher (it is only shown once): <span style={{ color: '#7765DA' }}>{inviteLink}</span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
       {/* Main Content (ONLY Question/Results now) */}
       <div style={{
         maxWidth: '800px',
         margin: '0 auto'
       }}>
+        {pollStatus !== 'open' && (
+          <div style={{
+            backgroundColor: '#F0F4FF',
+            color: '#373737',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '16px',
+            fontSize: '14px'
+          }}>
+            {pollStatus === 'closed'
+              ? 'This session has ended. Students can no longer join or answer; the results below stay available.'
+              : 'This poll is archived. Its results stay available for history and export.'}
+          </div>
+        )}
+        {actionError && (
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            backgroundColor: '#FDECEA',
+            color: '#E53935',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '16px',
+            fontSize: '14px'
+          }}>
+            <span>{actionError}</span>
+            <button onClick={() => setActionError('')} style={{
+              background: 'none',
+              border: 'none',
+              color: '#E53935',
+              fontSize: '16px',
+              cursor: 'pointer'
+            }}>
+              ×
+            </button>
+          </div>
+        )}
         <div style={{
           backgroundColor: 'white',
           borderRadius: '16px',
@@ -194,6 +772,22 @@ export function TeacherView({ onBack }) {
               <label style={{ fontSize: '18px', fontWeight: '700', color: '#373737' }}>
                 Enter your question
               </label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+              <select
+                value={questionType}
+                onChange={(e) => setQuestionType(e.target.value)}
+                style={{
+                  padding: '8px 16px',
+                  border: '2px solid #E0E0E0',
+                  borderRadius: '8px',
+                  fontSize: '14px',
+                  color: 'black',
+                  backgroundColor: '#F2F2F2'
+                }}>
+                {QUESTION_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
               <select
                 value={duration}
                 onChange={(e) => setDuration(parseInt(e.target.value))}
@@ -210,6 +804,27 @@ export function TeacherView({ onBack }) {
                 <option value={120}>2 minutes</option>
                 <option value={300}>5 minutes</option>
               </select>
+              <select
+                value={resultsVisibility}
+                onChange={(e) => setResultsVisibility(e.target.value)}
+                title="When students see the results"
+                style={{
+                  padding: '8px 16px',
+                  border: '2px solid #E0E0E0',
+                  borderRadius: '8px',
+                  fontSize: '14px',
+                  color: 'black',
+                  backgroundColor: '#F2F2F2'
+                }}>
+                <option value="live">Students see live results</option>
+                <option value="after_close">Students see results at the end</option>
+                <option value="never">Hide results from students</option>
+              </select>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#373737' }}>
+                <input type="checkbox" checked={anonymous} onChange={(e) => setAnonymous(e.target.checked)} />
+                Anonymous
+              </label>
+              </div>
             </div>
             <textarea
               value={questionText}
@@ -227,6 +842,7 @@ export function TeacherView({ onBack }) {
               }}
             />
           </div>
+          {hasOptions && (<>
            {/* Header Row */}
 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
   <span style={{ fontWeight: '600', fontSize: '16px', color: '#333' }}>Edit Options</span>
@@ -299,29 +915,229 @@ export function TeacherView({ onBack }) {
 }}>
   + Add Option
 </button>
+          </>)}
+
+          {/* True / False answer key */}
+          {questionType === 'truefalse' && (
+            <div style={{ display: 'flex', gap: '16px', alignItems: 'center' }}>
+              <span style={{ fontWeight: '600', fontSize: '16px', color: '#333' }}>Correct answer:</span>
+              {['true', 'false', 'none'].map((v) => (
+                <label key={v}>
+                  <input
+                    type="radio"
+                    name="truefalse-answer"
+                    checked={trueFalseAnswer === v}
+                    onChange={() => setTrueFalseAnswer(v)}
+                  /> {v === 'none' ? 'No correct answer' : v === 'true' ? 'True' : 'False'}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {/* Numeric answer key */}
+          {questionType === 'numeric' && (
+            <div style={{ display: 'flex', gap: '16px', alignItems: 'center' }}>
+              <input
+                type="number"
+                value={correctValue}
+                onChange={(e) => setCorrectValue(e.target.value)}
+                placeholder="Correct value (optional)"
+                style={{ flex: 1, padding: '12px 16px', border: '2px solid #E0E0E0', borderRadius: '8px' }}
+              />
+              <input
+                type="number"
+                min="0"
+                value={tolerance}
+                onChange={(e) => setTolerance(e.target.value)}
+                placeholder="± tolerance"
+                style={{ width: '140px', padding: '12px 16px', border: '2px solid #E0E0E0', borderRadius: '8px' }}
+              />
+            </div>
+          )}
+
+          {(questionType === 'text' || questionType === 'rating') && (
+            <div style={{ color: '#6E6E6E', fontSize: 14 }}>
+              {questionType === 'text'
+                ? 'Students type a short answer; responses are shown as a word cloud.'
+                : 'Students rate from 1 to 5; results show the distribution and average.'}
+            </div>
+          )}
 
 
           {/* Results */}
           <div style={{ marginTop: 24 }}>
             <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737' }}>Live Results</h3>
-            {results ? results.options.map((o, idx) => {
-              const pct = results.totalAnswers > 0 ? Math.round((o.count / results.totalAnswers) * 100) : 0
-              return (
-                <div key={o.id} style={{ marginTop: 10 }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
-                    <span>{String.fromCharCode(65 + idx)}. {o.text}</span>
-                    <span>{pct}%</span>
-                  </div>
-                  <div style={{ height: 16, background: '#EEE', borderRadius: 8 }}>
-                    <div style={{ height: '100%', width: `${pct}%`, background: '#7765DA' }} />
-                  </div>
-                </div>
-              )
-            }) : (
+            {currentQuestion && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                <span style={{ fontWeight: 700, color: currentQuestion.paused ? '#6E6E6E' : '#E53935', minWidth: '90px' }}>
+                  ⏱️ {formatTime(timeLeft)}{currentQuestion.paused ? ' (paused)' : ''}
+                </span>
+                {[
+                  currentQuestion.paused
+                    ? ['teacher:resumeQuestion', '▶ Resume', {}]
+                    : ['teacher:pauseQuestion', '⏸ Pause', {}],
+                  ['teacher:extendQuestion', '+15s', { seconds: 15 }],
+                  ['teacher:extendQuestion', '+30s', { seconds: 30 }],
+                  ['teacher:endQuestion', 'End now', {}]
+                ].map(([event, label, extra]) => (
+                  <button key={label} onClick={() => act(event, extra)} style={{
+                    backgroundColor: 'white',
+                    color: event === 'teacher:endQuestion' ? '#FF6B6B' : '#7765DA',
+                    border: `1px solid ${event === 'teacher:endQuestion' ? '#FF6B6B' : '#7765DA'}`,
+                    borderRadius: '6px',
+                    padding: '6px 12px',
+                    fontSize: '13px',
+                    cursor: 'pointer'
+                  }}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {results && results.accuracy != null && (
+              <div style={{ fontSize: 14, fontWeight: 600, color: '#373737' }}>
+                Accuracy: {results.accuracy}% ({results.correctAnswers}/{results.totalAnswers} correct)
+              </div>
+            )}
+            {results ? <ResultsChart results={results} /> : (
               <div style={{ color: '#6E6E6E', fontSize: 14 }}>No results yet.</div>
             )}
           </div>
         </div>
+
+        {/* Poll history + results export */}
+        <div style={{
+          backgroundColor: 'white',
+          borderRadius: '16px',
+          padding: '24px 32px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+          marginTop: '24px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+            <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737', margin: 0 }}>Poll History</h3>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {[['csv', 'matrix', 'Responses CSV'], ['csv', 'summary', 'Summary CSV'], ['csv', 'chat', 'Chat CSV'], ['json', null, 'JSON']].map(([format, report, label]) => {
+                // The JSON export has the chat too, so a poll with only chat can still be exported
+                const enabled = report === 'chat' ? chat.length > 0 : pastQuestions.length > 0 || (format === 'json' && chat.length > 0)
+                return (
+                <button
+                  key={label}
+                  onClick={() => downloadExport(format, report)}
+                  disabled={!enabled}
+                  style={{
+                    backgroundColor: 'white',
+                    color: enabled ? '#7765DA' : '#9E9E9E',
+                    border: `1px solid ${enabled ? '#7765DA' : '#E0E0E0'}`,
+                    borderRadius: '6px',
+                    padding: '6px 12px',
+                    fontSize: '13px',
+                    cursor: enabled ? 'pointer' : 'not-allowed'
+                  }}>
+                  ⬇ {label}
+                </button>
+                )
+              })}
+            </div>
+          </div>
+          <PollHistory questions={pastQuestions} />
+        </div>
+
+        {token && pollId && (
+          <ClassRosterPanel
+            serverUrl={SERVER_URL}
+            token={token}
+            pollId={pollId}
+            pollStatus={pollStatus}
+            classRoster={classRoster}
+            onSetRoster={setClassRosterId}
+          />
+        )}
+
+        <PlaylistPanel
+          playlist={playlist}
+          queue={queue}
+          onQueueChange={setQueue}
+          canStart={!currentQuestion && queue.length > 0 && pollStatus === 'open'}
+          onStart={startPlaylist}
+          onControl={(event) => act(event)}
+        />
+
+        {/* Competitive mode */}
+        <div style={{
+          backgroundColor: 'white',
+          borderRadius: '16px',
+          padding: '24px 32px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+          marginTop: '24px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+            <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737', margin: 0 }}>Leaderboard</h3>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#373737' }}>
+                <input type="checkbox" checked={gameMode} onChange={() => act('teacher:setGameMode', { enabled: !gameMode })} />
+                Competitive mode
+              </label>
+              {leaderboard.length > 0 && (
+                <>
+                  <button onClick={() => act('teacher:showPodium')} style={{
+                    backgroundColor: 'white',
+                    color: '#7765DA',
+                    border: '1px solid #7765DA',
+                    borderRadius: '6px',
+                    padding: '6px 12px',
+                    fontSize: '13px',
+                    cursor: 'pointer'
+                  }}>
+                    🏆 Show podium
+                  </button>
+                  <button onClick={() => window.confirm('Reset every score to zero?') && act('teacher:resetScores')} style={{
+                    backgroundColor: 'white',
+                    color: '#FF6B6B',
+                    border: '1px solid #FF6B6B',
+                    borderRadius: '6px',
+                    padding: '6px 12px',
+                    fontSize: '13px',
+                    cursor: 'pointer'
+                  }}>
+                    Reset scores
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+          {gameMode && (
+            <div style={{ color: '#6E6E6E', fontSize: '13px', marginBottom: '12px' }}>
+              Questions with a correct answer earn points for being right and fast, with a bonus for streaks. Anonymous questions don't count.
+            </div>
+          )}
+          {podium && <div style={{ marginBottom: '16px' }}><Podium podium={podium} /></div>}
+          {(gameMode || leaderboard.length > 0) && <Leaderboard rows={leaderboard} />}
+        </div>
+
+        {token && (
+          <QuestionBankPanel
+            serverUrl={SERVER_URL}
+            token={token}
+            draft={questionText.trim() ? draftQuestion() : null}
+            canAsk={!currentQuestion && !playlistRunning && pollStatus === 'open'}
+            onAsk={askBankQuestion}
+            onQueue={queueQuestions}
+          />
+        )}
+
+        {/* Webhooks to the school's own systems */}
+        {token && pollId && (
+          <div style={{
+            backgroundColor: 'white',
+            borderRadius: '16px',
+            padding: '24px 32px',
+            boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)',
+            marginTop: '24px'
+          }}>
+            <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#373737', margin: '0 0 12px' }}>Webhooks</h3>
+            <WebhooksPanel serverUrl={SERVER_URL} token={token} pollId={pollId} />
+          </div>
+        )}
       </div>
 
       {/* Floating Ask Question + Chat */}
@@ -340,6 +1156,20 @@ export function TeacherView({ onBack }) {
           Ask Question
         </button>
 
+        <button
+          onClick={addToPlaylist}
+          disabled={!draftReady}
+          style={{
+            backgroundColor: 'white',
+            color: draftReady ? '#7765DA' : '#9E9E9E',
+            border: `2px solid ${draftReady ? '#7765DA' : '#E0E0E0'}`,
+            borderRadius: '12px',
+            padding: '14px 20px',
+            fontWeight: '600'
+          }}>
+          + Playlist
+        </button>
+
         {/* Chat Toggle */}
         <button
           onClick={() => setIsChatOpen(!isChatOpen)}
@@ -386,20 +1216,36 @@ export function TeacherView({ onBack }) {
                 border: 'none', cursor: 'pointer',
                 fontWeight: activeTab === "students" ? '600' : '400',
                 color: '#7765DA'
-              }}>Students</button>
+              }}>Students{waiting.length > 0 ? ` (${waiting.length} waiting)` : ''}</button>
           </div>
 
           {/* Content */}
           {activeTab === "chat" ? (
             <>
-              <div style={{ flex: 1, padding: '10px', overflowY: 'auto' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '6px 10px', borderBottom: '1px solid #EEE', fontSize: 12, color: '#6E6E6E' }}>
+                <span>{chatEnabled ? 'Students can chat' : 'Chat is off for students'}</span>
+                <button onClick={toggleChat} style={{ fontSize: 12, color: '#7765DA', border: 'none', background: 'none', cursor: 'pointer' }}>
+                  {chatEnabled ? 'Turn off' : 'Turn on'}
+                </button>
+              </div>
+              <div onScroll={loadOlderChat} style={{ flex: 1, padding: '10px', overflowY: 'auto' }}>
+                {chatHasMore && <p style={{ textAlign: 'center', color: '#9E9E9E', fontSize: 12, margin: '0 0 8px' }}>Scroll up for earlier messages</p>}
                 {chat.length === 0 ? <p style={{ textAlign: 'center', color: '#888' }}>No messages</p> :
-                  chat.map((m, i) => (
-                    <div key={i} style={{ marginBottom: 8 }}>
-                      <strong>{m.role === 'teacher' ? "Teacher" : m.from}: </strong>{m.message}
+                  chat.map((m) => (
+                    <div key={m.id} style={{ marginBottom: 8, display: 'flex', justifyContent: 'space-between', gap: 6 }}>
+                      <span><strong>{m.role === 'teacher' ? (m.from || "Teacher") : m.from}: </strong>{m.message}</span>
+                      <span style={{ whiteSpace: 'nowrap' }}>
+                        {m.participantId && (
+                          <button onClick={() => setMuted(m.participantId, !isMuted(m.participantId))} style={{ fontSize: 11, color: '#6E6E6E', border: 'none', background: 'none', cursor: 'pointer' }}>
+                            {isMuted(m.participantId) ? 'Unmute' : 'Mute'}
+                          </button>
+                        )}
+                        <button onClick={() => deleteMessage(m.id)} title="Delete message" style={{ fontSize: 12, color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>×</button>
+                      </span>
                     </div>
                   ))}
               </div>
+              {chatError && <div style={{ padding: '4px 10px', fontSize: 12, color: '#E53935' }}>{chatError}</div>}
               <div style={{ display: 'flex', padding: 8, borderTop: '1px solid #EEE', gap: 6 }}>
                 <input
                   type="text"
@@ -417,12 +1263,61 @@ export function TeacherView({ onBack }) {
             </>
           ) : (
             <div style={{ flex: 1, overflowY: 'auto', padding: 10 }}>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 4, paddingBottom: 8, borderBottom: '1px solid #EEE', fontSize: 12, color: '#6E6E6E' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+                  <input type="checkbox" checked={lobbyEnabled} onChange={toggleLobby} />
+                  Waiting room: admit new students yourself
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+                  <input type="checkbox" checked={rosterLocked} onChange={toggleRosterLock} />
+                  Lock roster: no new students can join
+                </label>
+              </div>
+              {waiting.length > 0 && (
+                <div style={{ padding: '8px 0', borderBottom: '1px solid #EEE' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, fontWeight: 600, color: '#373737' }}>
+                    <span>Waiting ({waiting.length})</span>
+                    <button onClick={() => admitStudents(waiting.map((w) => w.id))} style={{ fontSize: 12, color: '#7765DA', border: 'none', background: 'none', cursor: 'pointer' }}>
+                      Admit all
+                    </button>
+                  </div>
+                  {waiting.map((w) => (
+                    <div key={w.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0' }}>
+                      <span>
+                        {w.name}
+                        {w.unlisted && <span title="Not on the class roster" style={{ color: '#F5A623' }}> (not on list)</span>}
+                      </span>
+                      <span>
+                        <button onClick={() => admitStudents([w.id])} style={{ fontSize: 12, color: '#7765DA', border: 'none', background: 'none', cursor: 'pointer' }}>Admit</button>
+                        <button onClick={() => rejectStudent(w.id)} style={{ fontSize: 12, color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>Reject</button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
               {students.map((s) => (
                 <div key={s.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', borderBottom: '1px solid #F0F0F0' }}>
-                  <span>{s.name}</span>
-                  <button onClick={() => removeStudent(s.id)} style={{ fontSize: 12, color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>Kick Out</button>
+                  <span style={{ color: s.connected === false ? '#9E9E9E' : 'inherit' }}>
+                    {s.name}{s.connected === false ? ' (reconnecting…)' : ''}{s.muted ? ' (muted)' : ''}
+                    {s.unlisted && <span title="Not on the class roster" style={{ color: '#F5A623' }}> (not on list)</span>}
+                  </span>
+                  <button onClick={() => setMuted(s.id, !s.muted)} style={{ fontSize: 12, color: '#6E6E6E', border: 'none', background: 'none', cursor: 'pointer' }}>
+                    {s.muted ? 'Unmute' : 'Mute'}
+                  </button>
+                  <button onClick={() => removeStudent(s.id)} title="Remove and keep them from rejoining" style={{ fontSize: 12, color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>Kick Out</button>
                 </div>
               ))}
+              {bans.length > 0 && (
+                <div style={{ paddingTop: 8 }}>
+                  <div style={{ fontSize: 12, fontWeight: 600, color: '#373737' }}>Removed ({bans.length})</div>
+                  {bans.map((b) => (
+                    <div key={b.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', color: '#9E9E9E' }}>
+                      <span>{b.name || 'Unnamed student'}</span>
+                      <button onClick={() => liftBan(b.id)} style={{ fontSize: 12, color: '#7765DA', border: 'none', background: 'none', cursor: 'pointer' }}>Allow back</button>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
         </div>
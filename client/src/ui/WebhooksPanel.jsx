@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react'
+
+const buttonStyle = {
+  backgroundColor: 'white',
+  color: '#7765DA',
+  border: '1px solid #7765DA',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  fontSize: '13px',
+  cursor: 'pointer'
+}
+
+const STATUS_COLORS = { delivered: '#4CAF50', failed: '#E53935', pending: '#6E6E6E' }
+
+// Webhook URLs for this poll and what was sent to them. The signing secret is only shown
+// right after a hook is added. Hooks for every poll are the server admin's, set up over REST.
+export function WebhooksPanel({ serverUrl, token, pollId }) {
+  const [hooks, setHooks] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [url, setUrl] = useState('')
+  const [newSecret, setNewSecret] = useState('')
+  const [error, setError] = useState('')
+
+  const base = `/polls/${pollId}/webhooks`
+
+  const api = (path, options = {}) =>
+    fetch(`${serverUrl}/api${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...(options.headers || {}) }
+    }).then(async (res) => {
+      if (res.status === 204) return null
+      const body = await res.json()
+      if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+      return body
+    })
+
+  const run = (promise) => promise.catch((err) => setError(err.message))
+
+  const refresh = () => run(Promise.all([api(base), api(`${base}/deliveries`)]).then(([h, d]) => {
+    setHooks(h)
+    setDeliveries(d)
+  }))
+
+  useEffect(() => {
+    setNewSecret('')
+    if (token && pollId) refresh()
+  }, [token, pollId])
+
+  const addHook = () => {
+    setError('')
+    run(api(base, { method: 'POST', body: JSON.stringify({ url }) }).then((hook) => {
+      setUrl('')
+      setNewSecret(hook.secret)
+      refresh()
+    }))
+  }
+
+  const removeHook = (id) => run(api(`${base}/${id}`, { method: 'DELETE' }).then(refresh))
+
+  // The ping goes out in the background; give it a moment before reloading the log
+  const pingHook = (id) => run(api(`${base}/${id}/ping`, { method: 'POST' }).then(() => setTimeout(refresh, 1000)))
+
+  return (
+    <div style={{ fontSize: '14px', color: '#373737' }}>
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+        <input
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/poll-events"
+          style={{ flex: 1, padding: '6px 10px', border: '1px solid #DDD', borderRadius: '6px' }}
+        />
+        <button onClick={addHook} disabled={!url.trim()} style={{ ...buttonStyle, opacity: url.trim() ? 1 : 0.5 }}>Add webhook</button>
+      </div>
+      {newSecret && (
+        <div style={{ backgroundColor: '#F0F4FF', borderRadius: '8px', padding: '8px 12px', marginBottom: '12px', wordBreak: 'break-all' }}>
+          Signing secret (shown once): <code>{newSecret}</code>
+        </div>
+      )}
+      {error && <div style={{ color: '#E53935', marginBottom: '12px' }}>{error}</div>}
+
+      {hooks.length === 0 && <div style={{ color: '#6E6E6E' }}>No webhooks yet.</div>}
+      {hooks.map((hook) => (
+        <div key={hook.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 0', borderBottom: '1px solid #F0F0F0' }}>
+          <span style={{ flex: 1, wordBreak: 'break-all' }}>{hook.url}</span>
+          <span style={{ color: '#6E6E6E', fontSize: '12px' }}>{hook.events.length ? hook.events.join(', ') : 'all events'}</span>
+          <button onClick={() => pingHook(hook.id)} style={buttonStyle}>Ping</button>
+          <button onClick={() => removeHook(hook.id)} title="Remove webhook" style={{ color: '#FF6B6B', border: 'none', background: 'none', cursor: 'pointer' }}>×</button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '16px 0 6px' }}>
+        <strong>Deliveries</strong>
+        <button onClick={refresh} style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}>Refresh</button>
+      </div>
+      {deliveries.length === 0 && <div style={{ color: '#6E6E6E' }}>Nothing sent yet.</div>}
+      {deliveries.slice(0, 20).map((d) => (
+        <div key={d.id} style={{ display: 'flex', gap: '8px', padding: '4px 0', fontSize: '13px', borderBottom: '1px solid #F6F6F6' }}>
+          <span style={{ width: '70px', color: '#6E6E6E' }}>{new Date(d.createdAt).toLocaleTimeString()}</span>
+          <span style={{ width: '130px' }}>{d.event}</span>
+          <span style={{ width: '90px', color: STATUS_COLORS[d.status] }}>{d.status}</span>
+          <span style={{ color: '#6E6E6E' }}>
+            {d.attempts} {d.attempts === 1 ? 'try' : 'tries'}{d.error ? ` · ${d.error}` : ''}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+// Countdown helpers that follow the server's deadline instead of a local timer.
+// Every timer payload carries serverNow; we keep the offset to our own clock so a
+// skewed device still shows the right time.
+
+let offsetMs = 0
+
+export function syncClock(serverNow) {
+  if (serverNow) offsetMs = serverNow - Date.now()
+}
+
+export function secondsLeft(q) {
+  if (!q) return 0
+  if (q.paused) return Math.ceil((q.remainingMs || 0) / 1000)
+  const endsAt = q.endsAt || q.askedAt + q.durationSec * 1000
+  return Math.max(0, Math.ceil((endsAt - (Date.now() + offsetMs)) / 1000))
+}
+
+export function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60)
+  const secs = seconds % 60
+  return `${mins}:${secs.toString().padStart(2, '0')}`
+}
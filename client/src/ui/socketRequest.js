@@ -0,0 +1,17 @@
+// Emits a socket event and waits for the server's acknowledgement, which is always
+// { ok: true, ... } or { ok: false, error: { code, message } }. A server that never
+// answers (or a socket that never reconnects) resolves as a TIMEOUT error instead.
+
+const ACK_TIMEOUT_MS = 8000
+
+export function request(socket, event, payload) {
+  return new Promise((resolve) => {
+    if (!socket) {
+      return resolve({ ok: false, error: { code: 'NOT_CONNECTED', message: 'Not connected to the server' } })
+    }
+    socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, res) => {
+      if (err) return resolve({ ok: false, error: { code: 'TIMEOUT', message: 'The server did not respond, try again' } })
+      resolve(res)
+    })
+  })
+}
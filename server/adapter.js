@@ -0,0 +1,19 @@
+// Socket.IO adapter selection. The default in-memory adapter only reaches sockets
+// connected to this process; the Redis adapter relays room broadcasts (and
+// socketsLeave / fetchSockets) between every instance sharing the Redis server.
+// Needs the optional `redis` and `@socket.io/redis-adapter` packages.
+export async function attachAdapter(io, kind = 'memory', { redisUrl } = {}) {
+  if (kind === 'memory') return;
+  if (kind !== 'redis') throw new Error(`Unknown socket adapter "${kind}"`);
+  const [{ createClient }, { createAdapter }] = await Promise.all([
+    import('redis'),
+    import('@socket.io/redis-adapter')
+  ]);
+  const pubClient = createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (err) => console.error('Redis adapter error:', err.message));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+}
@@ -0,0 +1,102 @@
+import { toCsv } from './csv.js';
+
+// Who was in a poll and when. poll.attendance is a plain object, participantId ->
+// { name, classStudentId, visits: [{ joinedAt, leftAt }] }, kept up to date from joins,
+// disconnects and removals. An open visit has leftAt null.
+
+// A student (re)joined. Coming back within `graceMs` of leaving continues the last visit,
+// so a refresh or a network blip does not count as leaving.
+export function markJoined(poll, student, { now = Date.now(), graceMs = 0 } = {}) {
+  if (!poll.attendance[student.id]) poll.attendance[student.id] = { visits: [] };
+  const entry = poll.attendance[student.id];
+  entry.name = student.name;
+  entry.classStudentId = student.classStudentId || null;
+  const last = entry.visits[entry.visits.length - 1];
+  if (last && last.leftAt === null) return;
+  if (last && now - last.leftAt <= graceMs) last.leftAt = null;
+  else entry.visits.push({ joinedAt: now, leftAt: null });
+}
+
+export function markLeft(poll, participantId, now = Date.now()) {
+  const entry = poll.attendance[participantId];
+  const last = entry && entry.visits[entry.visits.length - 1];
+  if (last && last.leftAt === null) last.leftAt = now;
+}
+
+// Visits of everyone still present end when the session does
+export function markAllLeft(poll, now = Date.now()) {
+  for (const participantId of Object.keys(poll.attendance)) markLeft(poll, participantId, now);
+}
+
+function attendanceRow({ name, externalId = null, email = null, classStudentId = null }, entries, status, { until, removed }) {
+  const visits = entries.flatMap((e) => e.visits).sort((a, b) => a.joinedAt - b.joinedAt);
+  const presentMs = visits.reduce((sum, v) => sum + ((v.leftAt === null ? until : v.leftAt) - v.joinedAt), 0);
+  return {
+    name,
+    externalId,
+    email,
+    classStudentId,
+    participantIds: entries.map((e) => e.participantId),
+    status,
+    firstJoinedAt: visits.length ? visits[0].joinedAt : null,
+    // null while they are still here
+    lastLeftAt: visits.length && visits.every((v) => v.leftAt !== null) ? Math.max(...visits.map((v) => v.leftAt)) : null,
+    minutesPresent: visits.length ? Math.round(presentMs / 60000) : 0,
+    visits,
+    removed: entries.some((e) => removed.has(e.participantId))
+  };
+}
+
+// The attendance report. With a class roster every roster student gets a row, 'present' or
+// 'absent', and anyone who joined under a name not on it is 'unlisted'. Without one,
+// everyone who joined is 'present'. A student on two devices, one after the other, is one row.
+export function buildAttendance(poll, now = Date.now()) {
+  const roster = poll.classRoster;
+  const until = poll.closedAt || now;
+  const removed = new Set(poll.bans.map((b) => b.id));
+  const byClassStudent = new Map();
+  const others = [];
+  for (const [participantId, entry] of Object.entries(poll.attendance)) {
+    const onRoster = roster && entry.classStudentId && roster.students.some((s) => s.id === entry.classStudentId);
+    if (!onRoster) {
+      others.push({ participantId, ...entry });
+      continue;
+    }
+    if (!byClassStudent.has(entry.classStudentId)) byClassStudent.set(entry.classStudentId, []);
+    byClassStudent.get(entry.classStudentId).push({ participantId, ...entry });
+  }
+
+  const options = { until, removed };
+  const rows = roster
+    ? roster.students.map((s) => {
+      const entries = byClassStudent.get(s.id) || [];
+      return attendanceRow({ ...s, classStudentId: s.id }, entries, entries.length ? 'present' : 'absent', options);
+    })
+    : [];
+  others.sort((a, b) => a.visits[0].joinedAt - b.visits[0].joinedAt);
+  for (const entry of others) rows.push(attendanceRow(entry, [entry], roster ? 'unlisted' : 'present', options));
+
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return {
+    pollId: poll.id,
+    classRoster: roster ? { id: roster.id, name: roster.name } : null,
+    startedAt: poll.createdAt,
+    endedAt: poll.closedAt || null,
+    summary: {
+      expected: roster ? roster.students.length : null,
+      present: count('present'),
+      absent: count('absent'),
+      unlisted: count('unlisted')
+    },
+    students: rows
+  };
+}
+
+export function attendanceCsv(poll) {
+  const time = (at) => (at ? new Date(at).toISOString() : '');
+  const rows = [['Name', 'Student ID', 'Email', 'Status', 'First joined', 'Last left', 'Minutes present', 'Visits', 'Removed']];
+  for (const r of buildAttendance(poll).students) {
+    rows.push([r.name, r.externalId || '', r.email || '', r.status, time(r.firstJoinedAt), time(r.lastLeftAt), r.minutesPresent, r.visits.length, r.removed ? 'yes' : '']);
+  }
+  return toCsv(rows);
+}
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+
+// Owner tokens prove that a socket belongs to a host of a poll: the teacher who created
+// it (role 'teacher') or a co-teacher they invited (role 'cohost'). Co-teacher tokens carry
+// the host id the poll lists them under, so callers must also check it is still listed.
+// Every token also names a teacher id, which stays the same across the polls one teacher
+// creates (see teacherIdOf), for what they keep between polls: question bank, class rosters.
+// Teacher tokens (role 'account') carry only that teacher id. The browser keeps one apart
+// from its polls and sends it when it creates the next poll, so the teacher id outlives
+// every poll and poll token.
+// Format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256 of the claims part).
+// Owner tokens expire OWNER_TOKEN_TTL_MS after they were issued, teacher tokens
+// TEACHER_TOKEN_TTL_MS; creating a poll and teacher:ready hand out fresh ones.
+
+const TOKEN_TTL_MS = Number(process.env.OWNER_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+const TEACHER_TOKEN_TTL_MS = Number(process.env.TEACHER_TOKEN_TTL_MS) || 365 * 24 * 60 * 60 * 1000;
+
+let SECRET = null;
+
+// Sets the signing secret; call once at startup. Without OWNER_TOKEN_SECRET one is generated on
+// the first start and kept in the store, so tokens survive a restart. Instances that share poll
+// state must also share the secret, so they refuse to start without it.
+export function initOwnerTokens(store, { shared = false } = {}) {
+  SECRET = process.env.OWNER_TOKEN_SECRET || null;
+  if (SECRET) return;
+  if (shared) throw new Error('OWNER_TOKEN_SECRET must be set when instances share poll state');
+  const [saved] = store.loadCollection('ownerTokenSecret');
+  if (saved) {
+    SECRET = saved.secret;
+    return;
+  }
+  SECRET = crypto.randomBytes(32).toString('hex');
+  store.saveCollection('ownerTokenSecret', [{ secret: SECRET }]);
+  store.flush();
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+function signClaims(claims) {
+  const body = Buffer.from(JSON.stringify({ ...claims, iat: Date.now() })).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+export function signOwnerToken(pollId, teacherId) {
+  return signClaims({ pollId, role: 'teacher', teacherId });
+}
+
+export function signHostToken(pollId, hostId, teacherId) {
+  return signClaims({ pollId, role: 'cohost', hostId, teacherId });
+}
+
+export function signTeacherToken(teacherId) {
+  return signClaims({ role: 'account', teacherId });
+}
+
+// Tokens from before teacher ids count as a teacher of just their own poll
+export function teacherIdOf(claims) {
+  return claims.teacherId || `poll:${claims.pollId}`;
+}
+
+// The same token, issued now, so a host who keeps coming back never sees it expire
+export function refreshOwnerToken({ iat, ...claims }) {
+  return signClaims(claims);
+}
+
+// The claims of a token we signed less than `ttlMs` ago, or null
+function verifyClaims(token, ttlMs) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return claims && Date.now() - claims.iat < ttlMs ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns the owner token's claims, or null when it is malformed, expired or was not signed by us.
+export function verifyOwnerToken(token) {
+  const claims = verifyClaims(token, TOKEN_TTL_MS);
+  if (!claims || !claims.pollId) return null;
+  return claims.role === 'teacher' || (claims.role === 'cohost' && claims.hostId) ? claims : null;
+}
+
+// Returns the teacher token's claims ({ teacherId }), or null
+export function verifyTeacherToken(token) {
+  const claims = verifyClaims(token, TEACHER_TOKEN_TTL_MS);
+  return claims && claims.role === 'account' && claims.teacherId ? claims : null;
+}
+
+function bearerToken(req) {
+  return (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+}
+
+// The teacher id of the request's teacher token or, from browsers that have none yet, owner token
+export function teacherIdFromRequest(req) {
+  const token = bearerToken(req);
+  const claims = verifyTeacherToken(token) || verifyOwnerToken(token);
+  return claims ? teacherIdOf(claims) : null;
+}
+
+// Express middleware for teacher-only REST routes: expects `Authorization: Bearer <owner token>`
+export function requireOwnerToken(req, res, next) {
+  const claims = verifyOwnerToken(bearerToken(req));
+  if (!claims) return res.status(401).json({ error: 'Missing or invalid owner token' });
+  req.owner = claims;
+  next();
+}
+
+// The server admin's credential, ADMIN_TOKEN, for what reaches beyond one teacher's polls.
+// Without it set nobody is an admin.
+export function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || typeof token !== 'string') return false;
+  // Hashed first, because timingSafeEqual needs inputs of the same length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(adminToken));
+}
+
+// Express middleware for admin-only REST routes: expects `Authorization: Bearer <ADMIN_TOKEN>`
+export function requireAdminToken(req, res, next) {
+  if (!isAdminToken(bearerToken(req))) return res.status(401).json({ error: 'Missing or invalid admin token' });
+  next();
+}
+
+// Express middleware for what teachers keep between polls: a teacher or owner token, which
+// reaches that teacher's own things, or the admin token, which reaches everyone's. Sets
+// req.requester to { teacherId, admin } (teacherId null for the admin).
+export function requireTeacherOrAdminToken(req, res, next) {
+  const token = bearerToken(req);
+  if (isAdminToken(token)) {
+    req.requester = { teacherId: null, admin: true };
+    return next();
+  }
+  const teacherId = teacherIdFromRequest(req);
+  if (!teacherId) return res.status(401).json({ error: 'Missing or invalid owner token' });
+  req.requester = { teacherId, admin: false };
+  next();
+}
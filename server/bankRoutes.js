@@ -0,0 +1,41 @@
+import express from 'express';
+import { requireTeacherOrAdminToken } from './auth.js';
+
+// REST endpoints for the question bank and quizzes; a teacher reaches their own, the admin everyone's.
+// `handle` is handleHttp from index.js.
+export function createBankRouter(bank, { handle }) {
+  const router = express.Router();
+  router.use(['/questions', '/quizzes'], requireTeacherOrAdminToken);
+
+  router.get('/questions', handle(async (req, res) => res.json(await bank.listQuestions(req.requester, { tag: req.query.tag }))));
+  router.post('/questions', handle(async (req, res) => res.status(201).json(await bank.createQuestion(req.body, req.requester))));
+  router.get('/questions/:id', handle(async (req, res) => res.json(await bank.getQuestion(req.params.id, req.requester))));
+  router.put('/questions/:id', handle(async (req, res) => res.json(await bank.updateQuestion(req.params.id, req.body || {}, req.requester))));
+  router.delete('/questions/:id', handle(async (req, res) => {
+    await bank.deleteQuestion(req.params.id, req.requester);
+    res.status(204).end();
+  }));
+
+  router.get('/quizzes', handle(async (req, res) => res.json(await bank.listQuizzes(req.requester, { tag: req.query.tag }))));
+  router.post('/quizzes', handle(async (req, res) => res.status(201).json(await bank.createQuiz(req.body, req.requester))));
+  // Accepts a JSON quiz file, or CSV when sent as text/csv or with ?format=csv
+  router.post('/quizzes/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), handle(async (req, res) => {
+    const format = req.query.format === 'csv' || typeof req.body === 'string' ? 'csv' : 'json';
+    res.status(201).json(await bank.importQuiz(req.body, req.requester, { format, title: req.query.title }));
+  }));
+  router.get('/quizzes/:id', handle(async (req, res) => res.json(await bank.getQuiz(req.params.id, req.requester))));
+  router.put('/quizzes/:id', handle(async (req, res) => res.json(await bank.updateQuiz(req.params.id, req.body || {}, req.requester))));
+  router.delete('/quizzes/:id', handle(async (req, res) => {
+    await bank.deleteQuiz(req.params.id, req.requester);
+    res.status(204).end();
+  }));
+  router.get('/quizzes/:id/export', handle(async (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const data = await bank.exportQuiz(req.params.id, req.requester, format);
+    res.attachment(`quiz-${req.params.id}.${format}`);
+    if (format === 'csv') return res.type('text/csv').send(data);
+    res.json(data);
+  }));
+
+  return router;
+}
@@ -0,0 +1,37 @@
+// Checks applied to every chat message before it is broadcast.
+
+// Sliding-window limiter: allows `limit` messages per `windowMs` for each key (a socket id).
+export function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map(); // key -> timestamps of recent messages
+  return {
+    // true when the message may go out; records it as sent
+    allow(key, now = Date.now()) {
+      const recent = (hits.get(key) || []).filter((at) => now - at < windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return false;
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return true;
+    },
+    forget(key) {
+      hits.delete(key);
+    }
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Masks blocked words (whole words, any case) with asterisks. `words` is a list
+// or a comma-separated string; an empty list lets everything through.
+export function createWordFilter(words) {
+  const list = (Array.isArray(words) ? words : String(words || '').split(','))
+    .map((w) => String(w).trim())
+    .filter(Boolean);
+  if (!list.length) return (text) => text;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${list.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  return (text) => text.replace(pattern, (match) => '*'.repeat(match.length));
+}
@@ -0,0 +1,90 @@
+import { v4 as uuidv4 } from 'uuid';
+import { parseCsvObjects } from './csv.js';
+import { HttpError } from './httpError.js';
+
+// Class rosters: the students a teacher expects, imported from CSV and reused across
+// polls. They are kept in the poll state as a collection (see pollState.js), so every instance
+// sees the same ones, and belong to the teacher who imported them (ownerId, their teacher id
+// from auth.js): only they and the admin can see or use one. A poll gets its own copy when
+// one is attached (see poll.classRoster), so editing or deleting a roster later never
+// changes past attendance.
+
+const ROSTERS = 'classRosters';
+const MAX_STUDENTS = 500;
+
+// Case, accents and spacing don't count when a typed name is compared with the roster
+export function normalizeName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+export function findClassStudent(roster, name) {
+  const wanted = normalizeName(name);
+  return (roster && wanted && roster.students.find((s) => normalizeName(s.name) === wanted)) || null;
+}
+
+// CSV row -> roster student. Either a `name` column or `first name` / `last name`
+// (LMS exports usually have those); `id` (or `student id`) and `email` are optional.
+function studentFromCsvRow(row) {
+  const name = row.name || [row['first name'] || row.firstname, row['last name'] || row.lastname].filter(Boolean).join(' ');
+  return {
+    name: String(name || '').replace(/\s+/g, ' ').trim().slice(0, 40),
+    externalId: String(row.id || row['student id'] || row.studentid || '').slice(0, 64) || null,
+    email: String(row.email || '').slice(0, 120) || null
+  };
+}
+
+// `requester` is { teacherId, admin }. Someone else's roster is reported as not found.
+function canUse(roster, { teacherId, admin }) {
+  return admin || (Boolean(roster.ownerId) && roster.ownerId === teacherId);
+}
+
+export function createClassRosters(pollState) {
+  async function findRoster(id, requester) {
+    const roster = await pollState.getItem(ROSTERS, id);
+    return roster && canUse(roster, requester) ? roster : null;
+  }
+
+  async function getRoster(id, requester) {
+    const roster = await findRoster(id, requester);
+    if (!roster) throw new HttpError('Class roster not found', 404);
+    return roster;
+  }
+
+  // Without the students, for pickers
+  async function listRosters(requester) {
+    const rosters = (await pollState.listItems(ROSTERS)).filter((r) => canUse(r, requester));
+    return rosters.sort((a, b) => a.createdAt - b.createdAt).map(({ students, ...roster }) => ({ ...roster, studentCount: students.length }));
+  }
+
+  async function importRoster(csv, { name, ownerId = null } = {}) {
+    const students = [];
+    const seen = new Set();
+    parseCsvObjects(csv).forEach((row, idx) => {
+      const student = studentFromCsvRow(row);
+      if (!student.name) throw new HttpError(`Row ${idx + 2}: a name is required`);
+      // The same person listed twice (a re-export, a copy-paste) is kept once
+      const key = student.externalId || normalizeName(student.name);
+      if (seen.has(key)) return;
+      seen.add(key);
+      students.push({ id: uuidv4(), ...student });
+    });
+    if (!students.length) throw new HttpError('The file contains no students');
+    if (students.length > MAX_STUDENTS) throw new HttpError(`A class roster can have at most ${MAX_STUDENTS} students`);
+    const roster = {
+      id: uuidv4(),
+      name: String(name || '').trim().slice(0, 80) || 'Class roster',
+      ownerId,
+      students: students.sort((a, b) => a.name.localeCompare(b.name)),
+      createdAt: Date.now()
+    };
+    await pollState.putItem(ROSTERS, roster);
+    return roster;
+  }
+
+  async function deleteRoster(id, requester) {
+    await getRoster(id, requester);
+    await pollState.removeItem(ROSTERS, id);
+  }
+
+  return { listRosters, findRoster, getRoster, importRoster, deleteRoster };
+}
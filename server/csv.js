@@ -0,0 +1,58 @@
+// Minimal RFC 4180 CSV helpers: quoted fields, escaped quotes and embedded newlines.
+
+function escapeField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: array of arrays; returns CSV text with CRLF line endings
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Returns an array of rows (arrays of strings); blank lines are skipped
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      if (row.some((f) => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== '')) rows.push(row);
+  return rows;
+}
+
+// Parses CSV with a header row into objects keyed by the (trimmed, lowercased) header names
+export function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return rows.map((row) => Object.fromEntries(keys.map((k, i) => [k, (row[i] || '').trim()])));
+}
@@ -0,0 +1,8 @@
+// An error that carries the HTTP status to answer with. The question bank, class rosters and
+// webhooks throw it from behind their REST routes; handleHttp in index.js sends it as JSON.
+export class HttpError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
@@ -3,9 +3,55 @@ import http from 'http';
 import cors from 'cors';
 import { Server as SocketIOServer } from 'socket.io';
 import { v4 as uuidv4 } from 'uuid';
+import { createStore, toRecord, fromRecord } from './store.js';
+import { createPollState } from './pollState.js';
+import { attachAdapter } from './adapter.js';
+import { initOwnerTokens, signOwnerToken, signHostToken, refreshOwnerToken, verifyOwnerToken, requireOwnerToken, teacherIdOf, teacherIdFromRequest, signTeacherToken } from './auth.js';
+import { buildPollExport, summaryCsv, responseMatrixCsv, chatCsv } from './pollExport.js';
+import { buildPollHistory, responseTimeSummary } from './pollHistory.js';
+import { createQuestionBank } from './questionBank.js';
+import { createBankRouter } from './bankRoutes.js';
+import { createWebhooks } from './webhooks.js';
+import { createWebhookRouter } from './webhookRoutes.js';
+import { createClassRosters, findClassStudent, normalizeName } from './classRosters.js';
+import { createRosterRouter } from './rosterRoutes.js';
+import { markJoined, markLeft, markAllLeft, buildAttendance, attendanceCsv } from './attendance.js';
+import { createRateLimiter, createWordFilter } from './chatModeration.js';
+import { EventError, validatePayload } from './schemas.js';
+import { HttpError } from './httpError.js';
+import { pointsFor, streakOf, applyScores, standings } from './scoring.js';
+import { isQuestionType, buildQuestionFields, parseAnswer, isAnswerCorrect, summarizeAnswers } from './questionTypes.js';
 
 const PORT = process.env.PORT || 4000;
 const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || '*';
+const POLL_STORE = process.env.POLL_STORE || 'file'; // 'file' or 'memory'
+const POLL_STORE_FILE = process.env.POLL_STORE_FILE; // defaults to ./data/polls.json
+// Running several instances: POLL_STATE=redis shares polls and deadlines, SOCKET_ADAPTER=redis shares broadcasts
+const POLL_STATE = process.env.POLL_STATE || 'local'; // 'local' or 'redis'
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || 'memory'; // 'memory' or 'redis'
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+// How often each instance checks for questions whose time is up
+const DEADLINE_CHECK_MS = Number(process.env.DEADLINE_CHECK_MS) || 200;
+// How long a disconnected student keeps their seat before being dropped from the roster
+const STUDENT_GRACE_MS = Number(process.env.STUDENT_GRACE_MS) || 30000;
+// Chat limits: at most CHAT_RATE_LIMIT messages per CHAT_RATE_WINDOW_MS from one socket
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5;
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS) || 10000;
+const CHAT_BLOCKED_WORDS = process.env.CHAT_BLOCKED_WORDS || ''; // comma-separated, masked with ***
+// Each poll keeps its newest CHAT_LOG_LIMIT messages; clients load them CHAT_PAGE_SIZE at a time
+const CHAT_LOG_LIMIT = Number(process.env.CHAT_LOG_LIMIT) || 500;
+const CHAT_PAGE_SIZE = 50;
+// Webhook deliveries: up to WEBHOOK_MAX_ATTEMPTS tries, waiting WEBHOOK_RETRY_BASE_MS, then twice as long each time
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+// Set to 1 to allow hooks on localhost and private networks, e.g. for the local test receiver
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === '1';
+// Abandoned polls: one nobody touched for POLL_IDLE_TTL_MS is closed, after another idle
+// POLL_IDLE_TTL_MS archived, and an archived poll is deleted after POLL_ARCHIVE_TTL_MS
+const POLL_IDLE_TTL_MS = Number(process.env.POLL_IDLE_TTL_MS) || 12 * 60 * 60 * 1000;
+const POLL_ARCHIVE_TTL_MS = Number(process.env.POLL_ARCHIVE_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+const POLL_SWEEP_MS = Number(process.env.POLL_SWEEP_MS) || 60 * 1000;
 
 const app = express();
 app.use(cors({ origin: CLIENT_ORIGIN }));
@@ -19,31 +65,517 @@ const io = new SocketIOServer(httpServer, {
   }
 });
 
-// In-memory state
-const polls = new Map(); // pollId -> { teacherSocketId, students: Map<socketId,{name,id}>, currentQuestion, pastQuestions }
-const waitingStudents = new Map(); // socketId -> { name }
-let activePollId = null; // single active poll to attach students quickly
+// Polls live in the poll state (see pollState.js), not in this process, so any instance
+// can handle any socket, and so do webhooks, class rosters and the question bank. The store
+// still holds the token secret (see auth.js), and the polls in local mode.
+const store = createStore(POLL_STORE, { filePath: POLL_STORE_FILE });
+const pollState = await createPollState(POLL_STATE, { store, redisUrl: REDIS_URL });
+initOwnerTokens(store, { shared: pollState.shared });
+await attachAdapter(io, SOCKET_ADAPTER, { redisUrl: REDIS_URL });
+const bank = createQuestionBank(pollState);
+const classRosters = createClassRosters(pollState);
+const webhooks = await createWebhooks(pollState, {
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  allowPrivateHosts: WEBHOOK_ALLOW_PRIVATE_HOSTS
+});
+const chatLimiter = createRateLimiter({ limit: CHAT_RATE_LIMIT, windowMs: CHAT_RATE_WINDOW_MS });
+const filterChat = createWordFilter(CHAT_BLOCKED_WORDS);
+const leaveTimers = new Map(); // `${pollId}:${participantId}` -> grace period timer on this instance
 
-function createPoll() {
-  const id = uuidv4().slice(0, 6);
-  polls.set(id, {
-    id,
-    teacherSocketId: null,
-    students: new Map(),
-    currentQuestion: null,
-    pastQuestions: []
+async function loadPoll(id) {
+  const record = id ? await pollState.get(id) : null;
+  return record ? fromRecord(record) : null;
+}
+
+// A poll with what is kept outside its record, for exports and history: the chat log and
+// the individual responses to finished questions
+async function withLogs(poll) {
+  const responses = await pollState.responsesOf(poll.id);
+  return {
+    ...poll,
+    chat: await pollState.chatLog(poll.id),
+    pastQuestions: poll.pastQuestions.map((q) => ({ ...q, responses: responses[q.questionId] || [] }))
+  };
+}
+
+// Applies `change` to the latest copy of a poll and saves it. `change` may return a
+// function to run once the save went through (emits, deadlines), so an update that
+// is retried after a conflict never broadcasts twice. If `change` throws (e.g. an EventError)
+// nothing is saved. Resolves to false if the poll is gone. Every update counts as activity
+// for the idle cleanup unless `touch` is false.
+async function updatePoll(id, change, { touch = true } = {}) {
+  let after;
+  const saved = await pollState.update(id, (record) => {
+    const poll = fromRecord(record);
+    if (touch) poll.lastActivityAt = Date.now();
+    after = change(poll);
+    return toRecord(poll);
   });
-  return polls.get(id);
+  if (!saved) return false;
+  if (typeof after === 'function') await after();
+  return true;
+}
+
+// Poll ids double as the join code students type in, so keep them short and unique
+async function createPoll() {
+  for (;;) {
+    const poll = {
+      id: uuidv4().slice(0, 6),
+      status: 'open', // then 'closed' (session ended) and 'archived' (results only)
+      createdAt: Date.now(),
+      lastActivityAt: Date.now(),
+      closedAt: null,
+      students: new Map(),
+      lobbyEnabled: false, // new students wait in `waiting` until the teacher admits them
+      rosterLocked: false, // no new students at all; those already in can still reconnect
+      classRoster: null, // copy of the class roster students pick their name from, see teacherSetClassRoster
+      attendance: {}, // join and leave times per student (attendance.js)
+      waiting: [],
+      bans: [], // removed students: { id (participant id), name, classStudentId, nameKey, at }, see isBanned
+      hosts: [], // co-teachers the owner invited: { id, name, addedAt }
+      playlist: null, // queued questions the server asks one after another, see startPlaylist
+      gameMode: false, // competitive mode: points and a leaderboard (scoring.js)
+      scoreboard: {},
+      chatEnabled: true,
+      currentQuestion: null,
+      pastQuestions: []
+    };
+    if (await pollState.create(toRecord(poll))) return poll;
+  }
+}
+
+// Route handlers and socket listeners are async; pass failures on instead of leaving them unhandled
+function handle(fn) {
+  return (...args) => {
+    const next = typeof args[2] === 'function' ? args[2] : (err) => console.error(err);
+    Promise.resolve(fn(...args)).catch(next);
+  };
 }
 
 // REST minimal endpoints
 app.get('/health', (_, res) => res.json({ ok: true }));
-app.post('/api/polls', (req, res) => {
-  const poll = createPoll();
-  res.json({ pollId: poll.id });
-});
+app.post('/api/polls', handle(async (req, res) => {
+  const poll = await createPoll();
+  // The owner token is the only way to run this poll as its teacher. A teacher who sends their
+  // teacher token keeps their teacher id, and with it their rosters and bank.
+  const teacherId = teacherIdFromRequest(req) || uuidv4();
+  res.json({ pollId: poll.id, token: signOwnerToken(poll.id, teacherId), teacherToken: signTeacherToken(teacherId) });
+}));
+// Whether verified token claims make someone a host of this poll. A co-teacher's token
+// keeps verifying after the owner removes them, so it also has to be on the host list.
+function isHostOf(poll, claims) {
+  if (claims.pollId !== poll.id) return false;
+  return claims.role === 'teacher' || poll.hosts.some((h) => h.id === claims.hostId);
+}
+
+// The poll named in the URL, when the token belongs to one of its hosts (with ownerOnly,
+// only the teacher who created it); otherwise sends the error
+async function ownedPoll(req, res, { ownerOnly = false } = {}) {
+  const poll = await loadPoll(req.params.id);
+  if (!poll) {
+    res.status(404).json({ error: 'Poll not found' });
+    return null;
+  }
+  if (!isHostOf(poll, req.owner) || (ownerOnly && req.owner.role !== 'teacher')) {
+    res.status(403).json({ error: 'Not authorized' });
+    return null;
+  }
+  return poll;
+}
+
+// Co-teachers: the owner invites one by name and passes on the token (as a link) themselves
+app.post('/api/polls/:id/hosts', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res, { ownerOnly: true });
+  if (!poll) return;
+  const name = String((req.body && req.body.name) || '').trim().slice(0, 40) || 'Co-teacher';
+  const host = { id: uuidv4(), name, addedAt: Date.now() };
+  await updatePoll(poll.id, (p) => {
+    p.hosts.push(host);
+    return () => emitHosts(p);
+  });
+  // A teacher id of their own: the owner's rosters and bank stay the owner's
+  res.status(201).json({ host, token: signHostToken(poll.id, host.id, uuidv4()) });
+}));
+
+app.delete('/api/polls/:id/hosts/:hostId', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res, { ownerOnly: true });
+  if (!poll) return;
+  const { hostId } = req.params;
+  if (!poll.hosts.some((h) => h.id === hostId)) return res.status(404).json({ error: 'Co-teacher not found' });
+  await updatePoll(poll.id, (p) => {
+    p.hosts = p.hosts.filter((h) => h.id !== hostId);
+    return () => {
+      emitHosts(p);
+      io.in(hostRoom(p, hostId)).disconnectSockets(true);
+    };
+  });
+  res.status(204).end();
+}));
+
+// Finished questions and chat of a poll as JSON, or as CSV: report=matrix (per student, default),
+// report=summary or report=chat
+app.get('/api/polls/:id/export', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  if (req.query.format === 'csv') {
+    const report = ['summary', 'chat'].includes(req.query.report) ? req.query.report : 'matrix';
+    res.attachment(`poll-${poll.id}-${report}.csv`);
+    const csv = { summary: summaryCsv, chat: chatCsv, matrix: responseMatrixCsv }[report];
+    return res.type('text/csv').send(csv(await withLogs(poll)));
+  }
+  res.attachment(`poll-${poll.id}.json`);
+  res.json(buildPollExport(await withLogs(poll)));
+}));
+
+// Finished questions with their results and stats, available after the live session too
+app.get('/api/polls/:id/history', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  res.json(buildPollHistory(await withLogs(poll)));
+}));
+
+// Who attended and when, against the class roster if the poll has one. JSON, or CSV with format=csv
+app.get('/api/polls/:id/attendance', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  if (req.query.format === 'csv') {
+    res.attachment(`poll-${poll.id}-attendance.csv`);
+    return res.type('text/csv').send(attendanceCsv(poll));
+  }
+  res.json(buildAttendance(poll));
+}));
+
+// REST API for scripts and LMS integrations, with the same bearer token as above. The write
+// routes run the same teacher actions as the socket events, so they broadcast the same events.
+const ACTION_ERROR_STATUS = {
+  INVALID_PAYLOAD: 400,
+  NOT_AUTHORIZED: 403,
+  POLL_NOT_FOUND: 404,
+  STUDENT_NOT_FOUND: 404,
+  ROSTER_NOT_FOUND: 404
+};
+
+// Like handle(), but an EventError becomes a JSON error; one not listed above is a conflict
+// with the poll's current state (a question already running, the poll closed, ...)
+function handleAction(fn) {
+  return handle(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (!(err instanceof EventError)) throw err;
+      res.status(ACTION_ERROR_STATUS[err.code] || 409).json({ error: err.message, code: err.code });
+    }
+  });
+}
+
+// Like handle(), for the routers of the question bank, class rosters and webhooks: an
+// HttpError from them becomes a JSON error with its status
+function handleHttp(fn) {
+  return handle(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      res.status(err.status).json({ error: err.message });
+    }
+  });
+}
+
+app.get('/api/polls/:id', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  res.json(await teacherState(poll, { role: req.owner.role === 'teacher' ? 'owner' : 'cohost' }));
+}));
+
+app.get('/api/polls/:id/students', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  res.json({ students: rosterOf(poll), waiting: lobbyOf(poll), bans: poll.bans });
+}));
+
+// The running question's live results (null between questions) and every finished question
+app.get('/api/polls/:id/results', requireOwnerToken, handle(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  res.json({
+    current: poll.currentQuestion ? resultsPayload(poll, { forTeacher: true }) : null,
+    past: pastQuestionsOf(poll)
+  });
+}));
+
+// Body: the same question fields as teacher:askQuestion
+app.post('/api/polls/:id/questions', requireOwnerToken, handleAction(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  const input = validatePayload('teacher:askQuestion', { ...req.body, pollId: poll.id });
+  res.status(201).json(await teacherAskQuestion(poll.id, input));
+}));
+
+app.post('/api/polls/:id/questions/current/end', requireOwnerToken, handleAction(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  await teacherEndQuestion(poll.id);
+  res.status(204).end();
+}));
+
+app.delete('/api/polls/:id/students/:studentId', requireOwnerToken, handleAction(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  await teacherRemoveStudent(poll.id, req.params.studentId);
+  res.status(204).end();
+}));
+
+app.post('/api/polls/:id/close', requireOwnerToken, handleAction(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  await teacherClosePoll(poll.id);
+  res.status(204).end();
+}));
+
+app.post('/api/polls/:id/archive', requireOwnerToken, handleAction(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  await teacherArchivePoll(poll.id);
+  res.status(204).end();
+}));
+
+// Body: { rosterId }, or { rosterId: null } to take the class roster off the poll
+app.put('/api/polls/:id/class-roster', requireOwnerToken, handleAction(async (req, res) => {
+  const poll = await ownedPoll(req, res);
+  if (!poll) return;
+  const { rosterId } = validatePayload('teacher:setClassRoster', { ...req.body, pollId: poll.id });
+  await teacherSetClassRoster(poll.id, rosterId, teacherIdOf(req.owner));
+  res.status(204).end();
+}));
+
+app.use('/api', createBankRouter(bank, { handle: handleHttp }));
+app.use('/api', createRosterRouter(classRosters, { handle: handleHttp }));
+app.use('/api', createWebhookRouter(webhooks, { ownedPoll, handle: handleHttp }));
 
 // Socket helpers
+function ownsPoll(socket, pollId) {
+  return Boolean(pollId) && socket.data.ownerPollId === pollId;
+}
+
+function rosterOf(poll) {
+  return Array.from(poll.students.values()).map(({ id, name, classStudentId, unlisted, connected, muted }) => ({
+    id,
+    name,
+    classStudentId: classStudentId || null,
+    unlisted: Boolean(unlisted), // not on the poll's class roster
+    connected,
+    muted: Boolean(muted)
+  }));
+}
+
+// Besides the shared poll room, teachers and students each get their own room so
+// results can go to one side without the other
+function teacherRoom(poll) {
+  return `${poll.id}:teachers`;
+}
+
+function studentRoom(poll) {
+  return `${poll.id}:students`;
+}
+
+// Every socket of one co-teacher, so removing them can disconnect all their tabs
+function hostRoom(poll, hostId) {
+  return `${poll.id}:host:${hostId}`;
+}
+
+function emitHosts(poll) {
+  io.to(teacherRoom(poll)).emit('hosts:update', poll.hosts);
+}
+
+// Takes a socket out of the poll's rooms by id, which also works when it is connected to another instance
+function leavePollRooms(socketId, poll) {
+  io.in(socketId).socketsLeave([poll.id, teacherRoom(poll), studentRoom(poll)]);
+}
+
+function emitRoster(poll) {
+  io.to(teacherRoom(poll)).emit('roster:update', rosterOf(poll));
+}
+
+function lobbyOf(poll) {
+  return poll.waiting.map(({ id, name, unlisted, requestedAt }) => ({ id, name, unlisted: Boolean(unlisted), requestedAt }));
+}
+
+function emitLobby(poll) {
+  io.to(teacherRoom(poll)).emit('lobby:update', lobbyOf(poll));
+}
+
+function emitBans(poll) {
+  io.to(teacherRoom(poll)).emit('bans:update', poll.bans);
+}
+
+function emitRosterSettings(poll) {
+  io.to(teacherRoom(poll)).emit('roster:settings', { lobbyEnabled: poll.lobbyEnabled, rosterLocked: poll.rosterLocked });
+}
+
+// Names are compared case-insensitively across the roster and the waiting room
+function nameTaken(poll, name, exceptId) {
+  const wanted = name.toLowerCase();
+  const others = [...poll.students.values(), ...poll.waiting].filter((p) => p.id !== exceptId);
+  return others.some((p) => p.name.toLowerCase() === wanted);
+}
+
+function freeName(poll, name) {
+  for (let n = 2; ; n += 1) {
+    if (!nameTaken(poll, `${name} ${n}`)) return `${name} ${n}`;
+  }
+}
+
+// Who a new student is on the roster. With a class roster they join under a name from it,
+// picked from the list or typed the same way, or say they are not on it and get flagged.
+function identifyStudent(poll, participantId, { name = '', classStudentId, unlisted }) {
+  const roster = poll.classRoster;
+  if (!roster) return { name, classStudentId: null, unlisted: false };
+  const match = classStudentId ? roster.students.find((s) => s.id === classStudentId) : findClassStudent(roster, name);
+  if (classStudentId && !match) throw new EventError('CLASS_STUDENT_NOT_FOUND', 'That name is no longer on the class list');
+  if (!match) {
+    if (!unlisted) throw new EventError('NOT_ON_CLASS_LIST', 'Your name is not on the class list. Pick it from the list instead');
+    return { name, classStudentId: null, unlisted: true };
+  }
+  const others = [...poll.students.values(), ...poll.waiting].filter((p) => p.id !== participantId);
+  if (others.some((p) => p.classStudentId === match.id)) {
+    throw new EventError('CLASS_STUDENT_TAKEN', `Someone has already joined as ${match.name}. Tell your teacher if that wasn't you`);
+  }
+  return { name: match.name, classStudentId: match.id, unlisted: false };
+}
+
+// A participant id is only what one browser keeps, so a removed student is also kept out by
+// their class-list entry or, when they are not on a class list, by their name
+function isBanned(poll, identity, name) {
+  const nameKey = normalizeName(name);
+  return poll.bans.some((b) => (identity.classStudentId
+    ? b.classStudentId === identity.classStudentId
+    : Boolean(nameKey) && b.nameKey === nameKey));
+}
+
+// A roster attached mid-session (or swapped) is matched by name against everyone who
+// already joined, including students who have left, so the attendance report covers them
+function applyClassRoster(poll, roster) {
+  poll.classRoster = roster ? { id: roster.id, name: roster.name, students: roster.students } : null;
+  const match = (p) => roster && (roster.students.find((s) => s.id === p.classStudentId) || findClassStudent(roster, p.name));
+  for (const p of [...poll.students.values(), ...poll.waiting, ...Object.values(poll.attendance)]) {
+    const classStudent = match(p);
+    if (classStudent) p.name = classStudent.name;
+    p.classStudentId = classStudent ? classStudent.id : null;
+  }
+  for (const b of poll.bans) {
+    const classStudent = match(b);
+    b.classStudentId = classStudent ? classStudent.id : null;
+  }
+  for (const p of [...poll.students.values(), ...poll.waiting]) p.unlisted = Boolean(roster) && !p.classStudentId;
+}
+
+function emitClassRoster(poll) {
+  io.to(teacherRoom(poll)).emit('classRoster:update', poll.classRoster);
+}
+
+// Moves waiting students onto the roster. They finish joining with another student:init
+// once told they were admitted (see the student:admitted event).
+function admitStudents(poll, admitted) {
+  for (const { id, name, classStudentId, unlisted, socketId } of admitted) {
+    const student = { id, name, classStudentId: classStudentId || null, unlisted: Boolean(unlisted), socketId, connected: true };
+    poll.students.set(id, student);
+    markJoined(poll, student);
+  }
+  poll.waiting = poll.waiting.filter((w) => !admitted.includes(w));
+}
+
+// student:joined and student:left webhooks; `reason` says why a student left
+function dispatchStudentEvent(poll, event, student, reason) {
+  webhooks.dispatch(poll.id, event, {
+    student: { id: student.id, name: student.name },
+    studentsTotal: poll.students.size,
+    ...(reason ? { reason } : {})
+  });
+}
+
+function emitToStudent(poll, participantId, event, payload) {
+  const student = poll.students.get(participantId);
+  if (student && student.socketId) io.to(student.socketId).emit(event, payload);
+}
+
+// Drop a disconnected student unless they come back within the grace period
+function scheduleStudentRemoval(pollId, participantId) {
+  const key = `${pollId}:${participantId}`;
+  clearTimeout(leaveTimers.get(key));
+  leaveTimers.set(key, setTimeout(handle(async () => {
+    leaveTimers.delete(key);
+    await updatePoll(pollId, (poll) => {
+      const student = poll.students.get(participantId);
+      if (!student || student.connected) return;
+      poll.students.delete(participantId);
+      return () => {
+        emitRoster(poll);
+        dispatchStudentEvent(poll, 'student:left', student, 'disconnected');
+      };
+    }, { touch: false });
+  }), STUDENT_GRACE_MS));
+}
+
+// What clients get to see of a question; answer keys stay with the teacher
+function questionPayload(q, { forTeacher = false } = {}) {
+  return {
+    id: q.id,
+    type: q.type,
+    text: q.text,
+    options: q.options ? q.options.map(({ id, text, isCorrect }) => (forTeacher ? { id, text, isCorrect } : { id, text })) : undefined,
+    correctValue: forTeacher ? q.correctValue : undefined,
+    tolerance: forTeacher ? q.tolerance : undefined,
+    askedAt: q.askedAt,
+    durationSec: q.durationSec,
+    resultsVisibility: q.resultsVisibility,
+    anonymous: q.anonymous,
+    totalAnswers: q.totalAnswers,
+    status: q.status,
+    sequence: q.sequence || null, // { number, total } when asked from a playlist
+    ...timerPayload(q)
+  };
+}
+
+// The server owns the countdown. Clients get the deadline plus the server's clock
+// so they can correct for skew instead of counting down on their own.
+function timerPayload(q) {
+  return {
+    questionId: q.id,
+    endsAt: q.paused ? null : q.endsAt,
+    paused: Boolean(q.paused),
+    remainingMs: q.paused ? q.remainingMs : Math.max(0, q.endsAt - Date.now()),
+    serverNow: Date.now()
+  };
+}
+
+// Live tally of the current question; the answer key is hidden until the question ends
+function resultsPayload(poll, { forTeacher = false } = {}) {
+  const q = poll.currentQuestion;
+  const summary = summarizeAnswers(q);
+  if (summary.options && !forTeacher) {
+    summary.options = summary.options.map(({ id, text, count }) => ({ id, text, count }));
+  }
+  return {
+    questionId: q.id,
+    ...summary,
+    totalAnswers: q.totalAnswers,
+    studentsTotal: poll.students.size
+  };
+}
+
+// What students may see of a finished question
+function studentResult(result) {
+  if (result.resultsVisibility !== 'never') return result;
+  const { questionId, text, type, totalAnswers, resultsVisibility } = result;
+  return { questionId, text, type, totalAnswers, resultsVisibility, hidden: true };
+}
+
+function pastQuestionsOf(poll, { forStudents = false } = {}) {
+  return forStudents ? poll.pastQuestions.map(studentResult) : poll.pastQuestions;
+}
+
 function canAskNewQuestion(poll) {
   if (!poll.currentQuestion) return true;
   const everyoneAnswered = poll.currentQuestion.totalAnswers >= poll.students.size && poll.students.size > 0;
@@ -51,253 +583,1153 @@ function canAskNewQuestion(poll) {
   return everyoneAnswered || finished;
 }
 
-function endQuestion(ioNamespace, poll, reason = 'ended') {
+// (Re)arm the deadline that ends the current question; any instance may end up firing it
+function startQuestionTimer(poll) {
+  const q = poll.currentQuestion;
+  return pollState.setDeadline(poll.id, q.id, q.endsAt);
+}
+
+// Ends questions whose deadline has passed. Deadlines can be stale: the question may
+// have ended some other way, been paused or been extended since.
+async function checkDeadlines() {
+  for (const { pollId, questionId } of await pollState.takeDueDeadlines(Date.now())) {
+    await updatePoll(pollId, (poll) => {
+      if (questionId === breakDeadlineId(poll)) {
+        if (poll.playlist.breakEndsAt > Date.now()) return () => startBreakTimer(poll);
+        return advancePlaylist(poll);
+      }
+      const q = poll.currentQuestion;
+      if (!q || q.id !== questionId || q.status !== 'active' || q.paused) return;
+      if (q.endsAt > Date.now()) return () => startQuestionTimer(poll);
+      return endQuestion(poll, 'timeout');
+    });
+  }
+}
+
+// Ends the session: the running question ends (without moving on to the next playlist
+// item) and new students are turned away. Everyone still connected keeps the results on
+// screen. `reason` is 'teacher' or 'idle'.
+function closePoll(poll, reason) {
+  poll.status = 'closed';
+  poll.closedAt = Date.now();
+  markAllLeft(poll, poll.closedAt);
+  const hadPlaylist = Boolean(poll.playlist);
+  poll.playlist = null;
+  const waiting = poll.waiting;
+  poll.waiting = [];
+  const end = endQuestion(poll, 'poll_closed');
+  return async () => {
+    if (end) await end();
+    else await pollState.clearDeadline(poll.id);
+    if (hadPlaylist) emitPlaylist(poll);
+    io.to(poll.id).emit('poll:closed', { pollId: poll.id, reason });
+    webhooks.dispatch(poll.id, 'poll:closed', { reason, studentsTotal: poll.students.size, questionsAsked: poll.pastQuestions.length });
+    for (const w of waiting) if (w.socketId) io.to(w.socketId).emit('poll:closed', { pollId: poll.id, reason });
+    if (waiting.length) emitLobby(poll);
+  };
+}
+
+// An archived poll only keeps what history and exports need. Students and presenters are
+// disconnected; teachers can still open it to look back or download the results.
+function archivePoll(poll) {
+  poll.status = 'archived';
+  for (const student of poll.students.values()) {
+    student.socketId = null;
+    student.connected = false;
+  }
+  return () => {
+    io.to(poll.id).emit('poll:archived', { pollId: poll.id });
+    io.in(studentRoom(poll)).disconnectSockets(true);
+  };
+}
+
+async function deletePoll(id) {
+  await pollState.clearDeadline(id);
+  await pollState.remove(id);
+  await webhooks.deletePollHooks(id);
+  io.in(id).disconnectSockets(true);
+}
+
+// Abandoned polls move on one state per POLL_IDLE_TTL_MS without activity (open -> closed
+// -> archived) and archived ones are deleted after POLL_ARCHIVE_TTL_MS. Every instance
+// sweeps; the checks are repeated inside the update so two sweeps never both act.
+async function sweepIdlePolls() {
+  const now = Date.now();
+  for (const record of await pollState.list()) {
+    const idleMs = now - (record.lastActivityAt || record.createdAt);
+    if (record.status === 'archived') {
+      if (idleMs >= POLL_ARCHIVE_TTL_MS) await deletePoll(record.id);
+      continue;
+    }
+    if (idleMs < POLL_IDLE_TTL_MS) continue;
+    await updatePoll(record.id, (poll) => {
+      if (poll.status === 'archived' || now - poll.lastActivityAt < POLL_IDLE_TTL_MS) return;
+      // Each step starts the idle clock again
+      poll.lastActivityAt = now;
+      return poll.status === 'open' ? closePoll(poll, 'idle') : archivePoll(poll);
+    }, { touch: false });
+  }
+}
+
+// The live tally for teachers, and for students when it is shown while answering.
+// Taken up front because the question may end before the update goes out.
+function resultsPayloads(poll) {
+  return {
+    teachers: resultsPayload(poll, { forTeacher: true }),
+    students: poll.currentQuestion.resultsVisibility === 'live' ? resultsPayload(poll) : null
+  };
+}
+
+function emitResultsUpdate(poll, results) {
+  io.to(teacherRoom(poll)).emit('results:update', results.teachers);
+  if (results.students) io.to(studentRoom(poll)).emit('results:update', results.students);
+}
+
+function emitTimer(poll) {
+  io.to(poll.id).emit('timer:update', timerPayload(poll.currentQuestion));
+}
+
+// Moves the current question to pastQuestions. Returns the follow-up for updatePoll:
+// clearing the deadline and telling everyone.
+function endQuestion(poll, reason = 'ended') {
   if (!poll.currentQuestion) return;
   poll.currentQuestion.status = 'finished';
-  clearTimeout(poll.currentQuestion._timerRef);
+  const q = poll.currentQuestion;
+  let correctAnswers = 0;
+  for (const a of q.answers.values()) {
+    if (a.correct) correctAnswers += 1;
+  }
   const result = {
-    questionId: poll.currentQuestion.id,
-    text: poll.currentQuestion.text,
-    options: poll.currentQuestion.options.map(({ id, text, count }) => ({ id, text, count })),
-    totalAnswers: poll.currentQuestion.totalAnswers,
-    durationSec: poll.currentQuestion.durationSec
+    questionId: q.id,
+    text: q.text,
+    askedAt: q.askedAt,
+    ...summarizeAnswers(q),
+    correctValue: q.correctValue,
+    totalAnswers: q.totalAnswers,
+    durationSec: q.durationSec,
+    resultsVisibility: q.resultsVisibility,
+    anonymous: q.anonymous,
+    hasCorrect: q.hasCorrect,
+    correctAnswers,
+    // null when the question has no right answer (opinion poll, rating, free text)
+    accuracy: q.hasCorrect && q.totalAnswers > 0 ? Math.round((correctAnswers / q.totalAnswers) * 100) : null,
+    studentsTotal: poll.students.size,
+    participation: poll.students.size ? Math.round((q.totalAnswers / poll.students.size) * 100) : null,
+    responseTimes: responseTimeSummary(Array.from(q.answers.values(), (a) => a.responseMs)),
+    reason,
+    finishedAt: Date.now()
   };
-  poll.pastQuestions.unshift({ ...result, finishedAt: Date.now(), reason });
-  ioNamespace.to(poll.id).emit('questionFinished', result);
+  // Individual responses are kept apart from the poll (pollState.saveResponses) and only go
+  // into exports. Anonymous questions drop who answered and are shuffled so order can't give it away.
+  const responses = Array.from(q.answers.entries(), ([participantId, a]) => (q.anonymous
+    ? { answer: a.answer, correct: a.correct, at: a.at, responseMs: a.responseMs }
+    : { participantId, ...a }));
+  if (q.anonymous) shuffle(responses);
+  poll.pastQuestions.unshift(result);
   poll.currentQuestion = null;
+  if (q.scored) applyScores(poll.scoreboard, q.answers, poll.students.values());
+  const next = continuePlaylist(poll, { skipBreak: reason === 'skipped' });
+  return async () => {
+    await pollState.clearDeadline(poll.id);
+    await pollState.saveResponses(poll.id, q.id, responses);
+    io.to(teacherRoom(poll)).emit('questionFinished', result);
+    io.to(studentRoom(poll)).emit('questionFinished', studentResult(result));
+    // Tell each student how they did on this question (unless results are never shown)
+    if (q.hasCorrect && q.resultsVisibility !== 'never') {
+      for (const [participantId, a] of q.answers.entries()) {
+        emitToStudent(poll, participantId, 'student:result', { questionId: q.id, answer: a.answer, correct: a.correct });
+      }
+    }
+    if (q.scored) emitLeaderboard(poll, q);
+    webhooks.dispatch(poll.id, 'questionFinished', result);
+    if (next) await next();
+  };
+}
+
+// Competitive mode. Teachers see every score; students see the top of the table and,
+// privately, their own rank.
+const LEADERBOARD_TOP = 5;
+
+function leaderboardPayload(poll, { forTeacher = false } = {}) {
+  const rows = standings(poll.scoreboard);
+  if (forTeacher) return rows;
+  return rows.slice(0, LEADERBOARD_TOP).map(({ participantId, ...row }) => row);
+}
+
+function scoreOf(poll, participantId, rows = standings(poll.scoreboard)) {
+  const row = rows.find((r) => r.participantId === participantId);
+  return row ? { rank: row.rank, of: rows.length, points: row.points, streak: row.streak } : null;
+}
+
+// After a scored question: the table for everyone, and each student's own line with
+// what the question earned them
+function emitLeaderboard(poll, q) {
+  const rows = standings(poll.scoreboard);
+  io.to(teacherRoom(poll)).emit('leaderboard:update', rows);
+  io.to(studentRoom(poll)).emit('leaderboard:update', leaderboardPayload(poll));
+  for (const student of poll.students.values()) {
+    const answer = q.answers.get(student.id);
+    const score = scoreOf(poll, student.id, rows);
+    if (score) emitToStudent(poll, student.id, 'student:score', { ...score, lastPoints: answer ? answer.points : 0 });
+  }
+}
+
+function emitPodium(poll) {
+  const podium = standings(poll.scoreboard).filter((r) => r.rank <= 3).map(({ participantId, ...row }) => row);
+  if (podium.length) io.to(poll.id).emit('leaderboard:podium', podium);
+}
+
+// Makes `input` (a validated teacher:askQuestion payload or playlist item) the current
+// question. Returns the after-save callback that starts its timer and announces it.
+function askQuestion(poll, input, sequence = null) {
+  const { type = 'single', text, durationSec = 60, resultsVisibility = 'live', anonymous = false } = input;
+  const fields = buildQuestionFields(type, input);
+  const askedAt = Date.now();
+  const question = {
+    id: uuidv4(),
+    ...fields,
+    text,
+    askedAt,
+    durationSec,
+    endsAt: askedAt + durationSec * 1000,
+    extendedMs: 0, // time the teacher added; moves the deadline but not durationSec, which scoring uses
+    paused: false,
+    remainingMs: null, // only set while paused, or while the server is down (see saveRemainingTime)
+    totalAnswers: 0,
+    status: 'active',
+    // live: students see the tally while answering; after_close: only once it ends; never: not at all
+    resultsVisibility,
+    anonymous,
+    sequence,
+    // Anonymous questions never count, since scoring has to know who answered
+    scored: poll.gameMode && fields.hasCorrect && !anonymous,
+    answeredBy: new Set(),
+    answers: new Map() // participantId -> { answer, correct }
+  };
+  poll.currentQuestion = question;
+  return async () => {
+    // Start countdown timer
+    await startQuestionTimer(poll);
+    io.to(poll.id).emit('questionAsked', questionPayload(question));
+    // What students see: receivers are outside the classroom, so no correct answers
+    webhooks.dispatch(poll.id, 'questionAsked', questionPayload(question));
+  };
+}
+
+// Playlists: poll.playlist = { items, index, status: 'running' | 'paused', breakEndsAt }.
+// `index` is the item asked last. While running, the server asks the next item itself once
+// a question ends, after a break of the item's breakSec to look at results. The break uses
+// the poll's deadline slot with breakDeadlineId in place of a question id.
+function playlistPayload(poll, { forTeacher = false } = {}) {
+  const p = poll.playlist;
+  if (!p) return null;
+  return {
+    status: p.status,
+    number: p.index + 1,
+    total: p.items.length,
+    breakEndsAt: p.breakEndsAt,
+    serverNow: Date.now(),
+    upcoming: forTeacher ? p.items.slice(p.index + 1).map((item) => item.text) : undefined
+  };
+}
+
+function emitPlaylist(poll) {
+  io.to(teacherRoom(poll)).emit('playlist:update', playlistPayload(poll, { forTeacher: true }));
+  io.to(studentRoom(poll)).emit('playlist:update', playlistPayload(poll));
+}
+
+function breakDeadlineId(poll) {
+  return poll.playlist && poll.playlist.breakEndsAt ? `playlist-break:${poll.playlist.index}` : null;
+}
+
+function startBreakTimer(poll) {
+  return pollState.setDeadline(poll.id, breakDeadlineId(poll), poll.playlist.breakEndsAt);
+}
+
+// Asks the next playlist item, or finishes the playlist after the last one
+function advancePlaylist(poll) {
+  const p = poll.playlist;
+  p.index += 1;
+  p.breakEndsAt = null;
+  if (p.index >= p.items.length) {
+    poll.playlist = null;
+    return async () => {
+      // Only a skipped break can still be pending here; no question is running
+      await pollState.clearDeadline(poll.id);
+      emitPlaylist(poll);
+      if (poll.gameMode) emitPodium(poll);
+    };
+  }
+  const ask = askQuestion(poll, p.items[p.index], { number: p.index + 1, total: p.items.length });
+  return async () => {
+    await ask();
+    emitPlaylist(poll);
+  };
+}
+
+// What happens once a question ends: nothing unless a playlist is running; otherwise a
+// break (if the item asks for one) and then the next item
+function continuePlaylist(poll, { skipBreak = false } = {}) {
+  const p = poll.playlist;
+  if (!p || p.status !== 'running') return null;
+  const breakSec = skipBreak || p.index + 1 >= p.items.length ? 0 : p.items[p.index].breakSec || 0;
+  if (!breakSec) return advancePlaylist(poll);
+  p.breakEndsAt = Date.now() + breakSec * 1000;
+  return async () => {
+    await startBreakTimer(poll);
+    emitPlaylist(poll);
+  };
+}
+
+// A page of the chat log, oldest first, ending just before `beforeId` (or at the newest message).
+// Students don't get the sender's participant id.
+async function chatPage(pollId, { beforeId, forTeacher = false } = {}) {
+  const chat = await pollState.chatLog(pollId);
+  let end = chat.length;
+  if (beforeId) {
+    end = chat.findIndex((m) => m.id === beforeId);
+    if (end === -1) throw new EventError('MESSAGE_NOT_FOUND', 'That message no longer exists');
+  }
+  const start = Math.max(0, end - CHAT_PAGE_SIZE);
+  const messages = chat.slice(start, end).map(({ participantId, ...m }) => (forTeacher ? { ...m, participantId } : m));
+  return { messages, hasMore: start > 0 };
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
 }
 
-function getLatestActivePoll() {
-  // Map preserves insertion order; take the last poll that has a teacher
-  let latest = null;
-  for (const p of polls.values()) {
-    if (p.teacherSocketId) latest = p;
+// Reload polls saved before the last restart and resume any running countdown
+// with whatever time it had left. Only for local state: shared state outlives any
+// one instance, and the other instances still hold their sockets and deadlines.
+// Polls saved while the chat log and past responses were still part of the poll record.
+// The update takes them out, so with several instances starting at once only one moves them.
+async function moveEmbeddedLogs() {
+  for (const { id, chat, pastQuestions } of await pollState.list()) {
+    if (!chat && !(pastQuestions || []).some((q) => q.responses)) continue;
+    let moved = null;
+    await pollState.update(id, (record) => {
+      moved = {
+        chat: record.chat || [],
+        responses: (record.pastQuestions || []).filter((q) => q.responses).map((q) => [q.questionId, q.responses])
+      };
+      delete record.chat;
+      for (const q of record.pastQuestions || []) delete q.responses;
+      return record;
+    });
+    if (!moved) continue;
+    for (const message of moved.chat) await pollState.appendChat(id, message, CHAT_LOG_LIMIT);
+    for (const [questionId, responses] of moved.responses) await pollState.saveResponses(id, questionId, responses);
   }
-  return latest;
 }
 
-function findPollByStudentSocket(socketId) {
-  for (const p of polls.values()) {
-    if (p.students.has(socketId)) return p;
+async function restorePolls() {
+  if (pollState.shared) return;
+  for (const { id } of await pollState.list()) {
+    await updatePoll(id, (poll) => {
+      // Socket ids do not survive a restart, so every student starts disconnected until they resume.
+      // Waiting students rejoin the waiting room when their browser reconnects.
+      for (const student of poll.students.values()) {
+        student.socketId = null;
+        student.connected = false;
+      }
+      // Attendance picks up again for whoever is back within the grace period
+      markAllLeft(poll);
+      poll.waiting = [];
+      const q = poll.currentQuestion;
+      const resume = q && q.status === 'active' && !q.paused;
+      if (resume && q.remainingMs != null) {
+        // Stopped cleanly: the question gets back the time it had left, however long we were down
+        q.endsAt = Date.now() + q.remainingMs;
+        q.remainingMs = null;
+      } else if (resume && !q.endsAt) q.endsAt = q.askedAt + q.durationSec * 1000 + (q.extendedMs || 0);
+      return async () => {
+        if (resume) await startQuestionTimer(poll);
+        if (breakDeadlineId(poll)) await startBreakTimer(poll);
+        // Archived polls keep their roster for exports
+        if (poll.status === 'archived') return;
+        for (const student of poll.students.values()) scheduleStudentRemoval(poll.id, student.id);
+      };
+    }, { touch: false });
   }
-  return null;
+}
+
+function normalizeJoinCode(code) {
+  return String(code || '').trim().toLowerCase();
+}
+
+// The roster entry of the student on this socket, if the poll still has them
+function studentOf(poll, socket) {
+  return poll && poll.id === socket.data.pollId ? poll.students.get(socket.data.participantId) || null : null;
+}
+
+async function findPollByStudentSocket(socket) {
+  const poll = await loadPoll(socket.data.pollId);
+  return studentOf(poll, socket) ? poll : null;
+}
+
+// Teachers connect with the owner token from POST /api/polls (co-teachers with the token
+// they were invited with) in the handshake auth; students connect without one.
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next();
+  const claims = verifyOwnerToken(token);
+  if (!claims) return next(new Error('Invalid owner token'));
+  loadPoll(claims.pollId).then((poll) => {
+    // A missing poll is reported by teacher:init; a removed co-teacher is turned away here
+    if (poll && !isHostOf(poll, claims)) return next(new Error('Invalid owner token'));
+    socket.data.claims = claims;
+    socket.data.ownerPollId = claims.pollId;
+    socket.data.hostId = claims.role === 'cohost' ? claims.hostId : null;
+    // Joined here rather than in teacher:init, so removing the co-teacher also reaches a
+    // socket that never sent it
+    if (poll && socket.data.hostId) socket.join(hostRoom(poll, socket.data.hostId));
+    next();
+  }, next);
+});
+
+// Registers a client event: the payload is checked against its schema (schemas.js), then
+// the handler runs. If the client passed an acknowledgement callback it gets
+// { ok: true, ...result } or { ok: false, error: { code, message } }.
+function onEvent(socket, event, handler) {
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+    try {
+      const result = await handler(validatePayload(event, args[0]));
+      ack({ ok: true, ...(result || {}) });
+    } catch (err) {
+      if (err instanceof EventError) return ack({ ok: false, error: { code: err.code, message: err.message } });
+      console.error(`Error handling ${event}:`, err);
+      ack({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Something went wrong on the server' } });
+    }
+  });
+}
+
+// Checked against the poll on every action, not only at connect: a co-teacher removed while
+// connected (maybe to another instance) must lose control straight away
+function isHostSocket(socket, poll) {
+  return ownsPoll(socket, poll.id) && isHostOf(poll, socket.data.claims);
+}
+
+// A poll that is gone is left to the action, which reports POLL_NOT_FOUND
+async function requireOwner(socket, pollId) {
+  if (ownsPoll(socket, pollId)) {
+    const poll = await loadPoll(pollId);
+    if (!poll || isHostSocket(socket, poll)) return;
+  }
+  throw new EventError('NOT_AUTHORIZED', 'Only a teacher of this poll can do that');
+}
+
+// updatePoll for events: a poll that disappeared is an error the client should hear about
+async function updateOwnPoll(pollId, change) {
+  if (!(await updatePoll(pollId, change))) throw new EventError('POLL_NOT_FOUND', 'Poll not found');
+}
+
+function requirePlaylist(poll) {
+  if (!poll.playlist) throw new EventError('NO_PLAYLIST', 'There is no playlist running');
+  return poll.playlist;
+}
+
+function activeQuestion(poll) {
+  const q = poll.currentQuestion;
+  if (!q || q.status !== 'active') throw new EventError('NO_ACTIVE_QUESTION', 'There is no question running');
+  return q;
+}
+
+// Everything a teacher's screen shows, for teacher:ready and GET /api/polls/:id
+async function teacherState(poll, { role }) {
+  return {
+    pollId: poll.id,
+    role,
+    status: poll.status,
+    hosts: poll.hosts,
+    students: rosterOf(poll),
+    classRoster: poll.classRoster,
+    currentQuestion: poll.currentQuestion ? questionPayload(poll.currentQuestion, { forTeacher: true }) : null,
+    results: poll.currentQuestion ? resultsPayload(poll, { forTeacher: true }) : null,
+    pastQuestions: pastQuestionsOf(poll),
+    playlist: playlistPayload(poll, { forTeacher: true }),
+    gameMode: poll.gameMode,
+    leaderboard: leaderboardPayload(poll, { forTeacher: true }),
+    waiting: lobbyOf(poll),
+    bans: poll.bans,
+    lobbyEnabled: poll.lobbyEnabled,
+    rosterLocked: poll.rosterLocked,
+    chatEnabled: poll.chatEnabled,
+    chat: await chatPage(poll.id, { forTeacher: true })
+  };
+}
+
+function requireOpen(poll) {
+  if (poll.status === 'archived') throw new EventError('POLL_ARCHIVED', 'This poll has been archived');
+  if (poll.status !== 'open') throw new EventError('POLL_CLOSED', 'This poll has been closed');
+}
+
+// Teacher actions shared by the socket events and the REST API, so both check the same
+// things and broadcast the same events. Callers check the teacher's token first.
+async function teacherAskQuestion(pollId, input) {
+  if (!isQuestionType(input.type || 'single')) throw new EventError('INVALID_PAYLOAD', `Unknown question type "${input.type}"`);
+  let questionId;
+  await updateOwnPoll(pollId, (poll) => {
+    requireOpen(poll);
+    if (!canAskNewQuestion(poll)) throw new EventError('QUESTION_RUNNING', 'Wait until the previous question finishes');
+    if (poll.playlist && poll.playlist.status === 'running') {
+      throw new EventError('PLAYLIST_RUNNING', 'Pause or stop the playlist to ask your own question');
+    }
+    const after = askQuestion(poll, input);
+    questionId = poll.currentQuestion.id;
+    return after;
+  });
+  return { questionId };
+}
+
+async function teacherEndQuestion(pollId) {
+  await updateOwnPoll(pollId, (poll) => {
+    activeQuestion(poll);
+    return endQuestion(poll, 'teacher_end');
+  });
+}
+
+async function teacherRemoveStudent(pollId, studentId) {
+  await updateOwnPoll(pollId, (poll) => {
+    const student = poll.students.get(studentId);
+    if (!student) throw new EventError('STUDENT_NOT_FOUND', 'That student is no longer in the poll');
+    poll.students.delete(studentId);
+    poll.bans.push({
+      id: student.id,
+      name: student.name,
+      classStudentId: student.classStudentId || null,
+      nameKey: normalizeName(student.name),
+      at: Date.now()
+    });
+    markLeft(poll, student.id);
+    return () => {
+      // Tell the student they were kicked, then drop the connection
+      if (student.socketId) {
+        io.to(student.socketId).emit('student:kicked');
+        leavePollRooms(student.socketId, poll);
+        io.in(student.socketId).disconnectSockets(true);
+      }
+      clearTimeout(leaveTimers.get(`${poll.id}:${studentId}`));
+      emitRoster(poll);
+      emitBans(poll);
+      dispatchStudentEvent(poll, 'student:left', student, 'removed');
+    };
+  });
+}
+
+// Only the host's own rosters can be attached (see classRosters.js)
+async function teacherSetClassRoster(pollId, rosterId, teacherId) {
+  const roster = rosterId ? await classRosters.findRoster(rosterId, { teacherId, admin: false }) : null;
+  if (rosterId && !roster) throw new EventError('ROSTER_NOT_FOUND', 'Class roster not found');
+  await updateOwnPoll(pollId, (poll) => {
+    applyClassRoster(poll, roster);
+    return () => {
+      emitClassRoster(poll);
+      emitRoster(poll);
+      emitLobby(poll);
+    };
+  });
+}
+
+async function teacherClosePoll(pollId) {
+  await updateOwnPoll(pollId, (poll) => {
+    requireOpen(poll);
+    return closePoll(poll, 'teacher');
+  });
+}
+
+async function teacherArchivePoll(pollId) {
+  await updateOwnPoll(pollId, (poll) => {
+    if (poll.status === 'open') throw new EventError('POLL_OPEN', 'End the session before archiving the poll');
+    if (poll.status === 'archived') throw new EventError('POLL_ARCHIVED', 'This poll has already been archived');
+    return archivePoll(poll);
+  });
 }
 
 io.on('connection', (socket) => {
   // Join a poll room either as teacher or student
-  socket.on('teacher:init', ({ pollId }) => {
-    let poll = pollId && polls.get(pollId);
-    if (!poll) {
-      poll = createPoll();
+  onEvent(socket, 'teacher:init', async ({ pollId }) => {
+    if (!socket.data.ownerPollId || (pollId && pollId !== socket.data.ownerPollId)) {
+      throw new EventError('NOT_AUTHORIZED', 'Not authorized');
     }
-    poll.teacherSocketId = socket.id;
-    activePollId = poll.id;
+    const poll = await loadPoll(socket.data.ownerPollId);
+    if (!poll) throw new EventError('POLL_NOT_FOUND', 'Poll not found');
+    if (!isHostSocket(socket, poll)) throw new EventError('NOT_AUTHORIZED', 'Not authorized');
     socket.join(poll.id);
+    socket.join(teacherRoom(poll));
     socket.emit('teacher:ready', {
-      pollId: poll.id,
-      students: Array.from(poll.students.values()),
-      currentQuestion: poll.currentQuestion ? {
-        id: poll.currentQuestion.id,
-        text: poll.currentQuestion.text,
-        options: poll.currentQuestion.options.map(({ id, text, count }) => ({ id, text, count })),
-        askedAt: poll.currentQuestion.askedAt,
-        durationSec: poll.currentQuestion.durationSec,
-        totalAnswers: poll.currentQuestion.totalAnswers,
-        status: poll.currentQuestion.status
-      } : null,
-      pastQuestions: poll.pastQuestions
+      ...(await teacherState(poll, { role: socket.data.hostId ? 'cohost' : 'owner' })),
+      token: refreshOwnerToken(socket.data.claims),
+      // Co-teachers have a teacher id of their own, for this poll only
+      teacherToken: socket.data.hostId ? null : signTeacherToken(teacherIdOf(socket.data.claims))
     });
+  });
+
+  onEvent(socket, 'student:init', async ({ pollId, name, participantId, classStudentId, unlisted }) => {
+    const code = normalizeJoinCode(pollId);
+    if (!code) throw new EventError('JOIN_CODE_REQUIRED', 'Enter the join code your teacher shared');
+    // The browser keeps a stable participant id so refreshes and reconnects resume the same seat
+    const id = participantId || socket.id;
+    const found = await updatePoll(code, (poll) => {
+      requireOpen(poll);
+      let student = poll.students.get(id);
+      if (poll.bans.some((b) => b.id === id)) {
+        throw new EventError('BANNED', 'The teacher has removed you from this poll');
+      }
+      const waiting = poll.waiting.find((w) => w.id === id);
+      // Students already in the poll (or already waiting) may always come back
+      if (!student && !waiting && poll.rosterLocked) {
+        throw new EventError('ROSTER_LOCKED', 'The teacher has locked this poll, so no new students can join');
+      }
+      const known = student || waiting;
+      const identity = known || identifyStudent(poll, id, { name, classStudentId, unlisted });
+      // Students from the class roster keep its spelling of their name
+      const studentName = (identity.classStudentId ? identity.name : name || identity.name) || '';
+      if (!known && isBanned(poll, identity, studentName)) {
+        throw new EventError('BANNED', 'The teacher has removed you from this poll');
+      }
+      if (studentName && !identity.classStudentId && nameTaken(poll, studentName, id)) {
+        throw new EventError('NAME_TAKEN', `Someone in this poll is already called "${studentName}". Try "${freeName(poll, studentName)}" instead`);
+      }
 
-    // Attach any waiting students to this newly active poll
-    if (waitingStudents.size > 0) {
-      for (const [sid, data] of waitingStudents.entries()) {
-        const studentSocket = io.sockets.sockets.get(sid);
-        if (!studentSocket) {
-          waitingStudents.delete(sid);
-          continue;
+      if (!student && poll.lobbyEnabled) {
+        if (waiting) {
+          waiting.name = studentName;
+          waiting.socketId = socket.id;
+        } else {
+          poll.waiting.push({
+            id,
+            name: studentName,
+            classStudentId: identity.classStudentId || null,
+            unlisted: Boolean(identity.unlisted),
+            socketId: socket.id,
+            requestedAt: Date.now()
+          });
         }
-        const student = { id: sid, name: String(data.name || '').trim().slice(0, 40) };
-        poll.students.set(sid, student);
-        studentSocket.join(poll.id);
-        // notify student and roster
-        io.to(poll.id).emit('roster:update', Array.from(poll.students.values()));
-        studentSocket.emit('student:ready', {
-          currentQuestion: poll.currentQuestion ? {
-            id: poll.currentQuestion.id,
-            text: poll.currentQuestion.text,
-            options: poll.currentQuestion.options.map(({ id, text, count }) => ({ id, text, count })),
-            askedAt: poll.currentQuestion.askedAt,
-            durationSec: poll.currentQuestion.durationSec,
-            totalAnswers: poll.currentQuestion.totalAnswers,
-            status: poll.currentQuestion.status
-          } : null,
-          pastQuestions: poll.pastQuestions
-        });
-        waitingStudents.delete(sid);
+        return () => {
+          socket.data.pollId = poll.id;
+          socket.data.participantId = id;
+          emitLobby(poll);
+          socket.emit('student:waiting', {
+            pollId: poll.id,
+            participantId: id,
+            name: studentName,
+            classStudentId: identity.classStudentId || null,
+            unlisted: Boolean(identity.unlisted)
+          });
+        };
       }
-    }
-  });
 
-  socket.on('student:init', ({ pollId, name }) => {
-    let poll = null;
-    if (pollId && polls.get(pollId)) {
-      poll = polls.get(pollId);
-    } else if (activePollId && polls.get(activePollId)) {
-      poll = polls.get(activePollId);
-    } else {
-      poll = getLatestActivePoll();
-    }
-    const studentName = String(name || '').trim().slice(0, 40);
-    if (!poll) {
-      // queue student until a teacher initializes a poll
-      waitingStudents.set(socket.id, { name: studentName });
-      socket.emit('student:waiting');
-      return;
-    }
-    const student = { id: socket.id, name: studentName };
-    poll.students.set(socket.id, student);
-    socket.join(poll.id);
-    io.to(poll.id).emit('roster:update', Array.from(poll.students.values()));
-    socket.emit('student:ready', {
-      currentQuestion: poll.currentQuestion ? {
-        id: poll.currentQuestion.id,
-        text: poll.currentQuestion.text,
-        options: poll.currentQuestion.options.map(({ id, text, count }) => ({ id, text, count })),
-        askedAt: poll.currentQuestion.askedAt,
-        durationSec: poll.currentQuestion.durationSec,
-        totalAnswers: poll.currentQuestion.totalAnswers,
-        status: poll.currentQuestion.status
-      } : null,
-      pastQuestions: poll.pastQuestions
+      const previousSocketId = student && student.socketId !== socket.id ? student.socketId : null;
+      const joined = !student;
+      if (student) {
+        student.name = studentName;
+      } else {
+        student = { id, name: studentName, classStudentId: identity.classStudentId || null, unlisted: Boolean(identity.unlisted) };
+        poll.students.set(id, student);
+      }
+      student.socketId = socket.id;
+      student.connected = true;
+      markJoined(poll, student, { graceMs: STUDENT_GRACE_MS });
+      if (waiting) poll.waiting = poll.waiting.filter((w) => w.id !== id);
+      return async () => {
+        if (waiting) emitLobby(poll);
+        if (previousSocketId) leavePollRooms(previousSocketId, poll);
+        clearTimeout(leaveTimers.get(`${poll.id}:${id}`));
+        socket.data.pollId = poll.id;
+        socket.data.participantId = id;
+        socket.join(poll.id);
+        socket.join(studentRoom(poll));
+        emitRoster(poll);
+        if (joined) dispatchStudentEvent(poll, 'student:joined', student);
+        const myAnswer = poll.currentQuestion && poll.currentQuestion.answers.get(id);
+        socket.emit('student:ready', {
+          pollId: poll.id,
+          participantId: id,
+          name: student.name,
+          classStudentId: student.classStudentId || null,
+          unlisted: Boolean(student.unlisted),
+          myAnswer: myAnswer ? myAnswer.answer : null,
+          currentQuestion: poll.currentQuestion ? questionPayload(poll.currentQuestion) : null,
+          results: poll.currentQuestion && poll.currentQuestion.resultsVisibility === 'live' ? resultsPayload(poll) : null,
+          pastQuestions: pastQuestionsOf(poll, { forStudents: true }),
+          playlist: playlistPayload(poll),
+          gameMode: poll.gameMode,
+          leaderboard: leaderboardPayload(poll),
+          myScore: scoreOf(poll, id),
+          chatEnabled: poll.chatEnabled,
+          chat: await chatPage(poll.id),
+          muted: Boolean(student.muted)
+        });
+      };
     });
+    if (!found) throw new EventError('POLL_NOT_FOUND', `No poll found with code "${code}"`);
   });
 
-  socket.on('teacher:askQuestion', ({ pollId, text, options, durationSec }) => {
-    const poll = polls.get(pollId);
-    if (!poll) return socket.emit('errorMessage', 'Poll not found');
-    if (poll.teacherSocketId !== socket.id) return socket.emit('errorMessage', 'Not authorized');
-    if (!canAskNewQuestion(poll)) return socket.emit('errorMessage', 'Wait until previous question finishes');
-
-    const questionId = uuidv4();
-    const normalizedOptions = (options && options.length ? options : ['A', 'B', 'C', 'D']).map((t) => ({
-      id: uuidv4(),
-      text: String(t).slice(0, 80),
-      count: 0
-    }));
-    const duration = Number(durationSec) > 0 ? Math.min(Number(durationSec), 300) : 60;
-    const question = {
-      id: questionId,
-      text: String(text || 'Question').slice(0, 140),
-      options: normalizedOptions,
-      askedAt: Date.now(),
-      durationSec: duration,
-      totalAnswers: 0,
-      status: 'active',
-      answeredBy: new Set(),
-      _timerRef: null
+  // Before joining a poll with a class roster, students pick their name from it. Names
+  // someone already joined under are marked as taken.
+  onEvent(socket, 'student:classList', async ({ pollId }) => {
+    const code = normalizeJoinCode(pollId);
+    if (!code) throw new EventError('JOIN_CODE_REQUIRED', 'Enter the join code your teacher shared');
+    const poll = await loadPoll(code);
+    if (!poll) throw new EventError('POLL_NOT_FOUND', `No poll found with code "${code}"`);
+    requireOpen(poll);
+    if (!poll.classRoster) return { classList: null };
+    const taken = new Set([...poll.students.values(), ...poll.waiting].map((p) => p.classStudentId));
+    // Removed students are not offered at all
+    const banned = new Set(poll.bans.map((b) => b.classStudentId));
+    return {
+      classList: poll.classRoster.students
+        .filter(({ id }) => !banned.has(id))
+        .map(({ id, name }) => ({ id, name, taken: taken.has(id) }))
     };
-    poll.currentQuestion = question;
-    // Start countdown timer
-    question._timerRef = setTimeout(() => {
-      endQuestion(io, poll, 'timeout');
-    }, duration * 1000);
-
-    io.to(poll.id).emit('questionAsked', {
-      id: question.id,
-      text: question.text,
-      options: question.options.map(({ id, text }) => ({ id, text })),
-      askedAt: question.askedAt,
-      durationSec: question.durationSec
-    });
   });
 
-  socket.on('student:submit', ({ pollId, questionId, optionId }) => {
-    const poll = pollId ? polls.get(pollId) : findPollByStudentSocket(socket.id);
-    if (!poll || !poll.currentQuestion) return;
+  // A read-only screen for the classroom projector. It shows what students see, so it sits in
+  // the student room, but it is not on the roster and gets no socket data that would let it
+  // answer, chat or control the poll.
+  onEvent(socket, 'presenter:init', async ({ pollId }) => {
+    const code = normalizeJoinCode(pollId);
+    if (!code) throw new EventError('JOIN_CODE_REQUIRED', 'Enter the join code of the poll to present');
+    const poll = await loadPoll(code);
+    if (!poll) throw new EventError('POLL_NOT_FOUND', `No poll found with code "${code}"`);
+    requireOpen(poll);
+    socket.join([poll.id, studentRoom(poll)]);
     const q = poll.currentQuestion;
-    if (q.id !== questionId || q.status !== 'active') return;
-    if (q.answeredBy.has(socket.id)) return; // only once per student
-
-    const option = q.options.find((o) => o.id === optionId);
-    if (!option) return;
-    option.count += 1;
-    q.totalAnswers += 1;
-    q.answeredBy.add(socket.id);
-
-    // Emit incremental results for teacher
-    io.to(poll.id).emit('results:update', {
-      questionId: q.id,
-      options: q.options.map(({ id, text, count }) => ({ id, text, count })),
-      totalAnswers: q.totalAnswers,
-      studentsTotal: poll.students.size
+    socket.emit('presenter:ready', {
+      pollId: poll.id,
+      currentQuestion: q ? questionPayload(q) : null,
+      results: q && q.resultsVisibility === 'live' ? resultsPayload(poll) : null,
+      lastResult: q ? null : pastQuestionsOf(poll, { forStudents: true })[0] || null,
+      playlist: playlistPayload(poll),
+      gameMode: poll.gameMode,
+      leaderboard: leaderboardPayload(poll)
     });
+  });
 
-    if (q.totalAnswers >= poll.students.size && poll.students.size > 0) {
-      endQuestion(io, poll, 'all_answered');
-    }
+  onEvent(socket, 'teacher:askQuestion', async (payload) => {
+    await requireOwner(socket, payload.pollId);
+    return teacherAskQuestion(payload.pollId, payload);
   });
 
-  socket.on('teacher:endQuestion', ({ pollId }) => {
-    const poll = polls.get(pollId);
-    if (!poll) return;
-    if (poll.teacherSocketId !== socket.id) return;
-    endQuestion(io, poll, 'teacher_end');
-  });
-
-  socket.on('teacher:removeStudent', ({ pollId, studentId }) => {
-    const poll = polls.get(pollId);
-    if (!poll) return;
-    if (poll.teacherSocketId !== socket.id) return;
-    if (poll.students.has(studentId)) {
-      const s = io.sockets.sockets.get(studentId);
-     
-      // 🔥 Tell the student they were kicked
-    if (s) {
-      s.emit('student:kicked');
-      s.leave(poll.id);
-      // optional: also close their socket if you really want
-      // s.disconnect(true);
-    }
+  onEvent(socket, 'teacher:startPlaylist', async ({ pollId, questions }) => {
+    await requireOwner(socket, pollId);
+    const unknown = questions.find((q) => !isQuestionType(q.type || 'single'));
+    if (unknown) throw new EventError('INVALID_PAYLOAD', `Unknown question type "${unknown.type}"`);
+    await updateOwnPoll(pollId, (poll) => {
+      requireOpen(poll);
+      if (poll.playlist) throw new EventError('PLAYLIST_RUNNING', 'A playlist is already running');
+      if (!canAskNewQuestion(poll)) throw new EventError('QUESTION_RUNNING', 'Wait until the previous question finishes');
+      poll.playlist = { items: questions, index: -1, status: 'running', breakEndsAt: null };
+      return advancePlaylist(poll);
+    });
+  });
+
+  // Paused: the current question runs to its end, then nothing else is asked until resumed
+  onEvent(socket, 'teacher:pausePlaylist', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const p = requirePlaylist(poll);
+      if (p.status === 'paused') return;
+      const inBreak = Boolean(p.breakEndsAt);
+      p.status = 'paused';
+      p.breakEndsAt = null;
+      return async () => {
+        if (inBreak) await pollState.clearDeadline(poll.id);
+        emitPlaylist(poll);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:resumePlaylist', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const p = requirePlaylist(poll);
+      if (p.status === 'running') return;
+      p.status = 'running';
+      const q = poll.currentQuestion;
+      if (q && q.status === 'active') return () => emitPlaylist(poll);
+      return advancePlaylist(poll);
+    });
+  });
+
+  // Skip: end the current question (or break) and go straight to the next item
+  onEvent(socket, 'teacher:skipPlaylistItem', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      requirePlaylist(poll);
+      const q = poll.currentQuestion;
+      if (!q || q.status !== 'active') return advancePlaylist(poll);
+      const end = endQuestion(poll, 'skipped');
+      // endQuestion only moves on by itself while the playlist is running
+      const next = poll.playlist && poll.playlist.status === 'paused' ? advancePlaylist(poll) : null;
+      return async () => {
+        await end();
+        if (next) await next();
+      };
+    });
+  });
 
-      poll.students.delete(studentId);
-      io.to(poll.id).emit('roster:update', Array.from(poll.students.values()));
+  // The current question keeps running; nothing more is asked automatically
+  onEvent(socket, 'teacher:stopPlaylist', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const inBreak = Boolean(requirePlaylist(poll).breakEndsAt);
+      poll.playlist = null;
+      return async () => {
+        if (inBreak) await pollState.clearDeadline(poll.id);
+        emitPlaylist(poll);
+      };
+    });
+  });
+
+  // Single-choice clients send optionId; every other type sends its answer in `answer`
+  onEvent(socket, 'student:submit', async ({ pollId, questionId, optionId, answer }) => {
+    if (!socket.data.pollId || (pollId && pollId !== socket.data.pollId)) {
+      throw new EventError('NOT_JOINED', 'Join the poll before answering');
     }
+    const participantId = socket.data.participantId;
+    await updateOwnPoll(socket.data.pollId, (poll) => {
+      requireOpen(poll);
+      const student = studentOf(poll, socket);
+      if (!student) throw new EventError('NOT_JOINED', 'You are no longer in this poll');
+      const q = poll.currentQuestion;
+      if (!q || q.id !== questionId || q.status !== 'active') {
+        throw new EventError('QUESTION_CLOSED', 'This question has already closed');
+      }
+      if (q.answeredBy.has(participantId)) throw new EventError('ALREADY_ANSWERED', 'You have already answered this question');
+
+      const parsed = parseAnswer(q, answer !== undefined ? answer : optionId);
+      if (parsed === undefined) throw new EventError('INVALID_ANSWER', 'That answer is not valid for this question');
+      q.totalAnswers += 1;
+      q.answeredBy.add(participantId);
+      const at = Date.now();
+      const correct = isAnswerCorrect(q, parsed);
+      const responseMs = at - q.askedAt;
+      q.answers.set(participantId, {
+        answer: parsed,
+        correct,
+        name: student.name,
+        at,
+        responseMs,
+        // Streaks only change once the question ends, so the one this answer extends is known now
+        points: q.scored
+          ? pointsFor({ correct, responseMs, durationSec: q.durationSec, streak: streakOf(poll.scoreboard, participantId) + 1 })
+          : undefined
+      });
+      // Emit incremental results for teacher (and students when the tally is live)
+      const results = resultsPayloads(poll);
+      const finish = q.totalAnswers >= poll.students.size && poll.students.size > 0
+        ? endQuestion(poll, 'all_answered')
+        : null;
+      return async () => {
+        emitResultsUpdate(poll, results);
+        if (finish) await finish();
+      };
+    });
   });
 
-  socket.on('chat:send', ({ pollId, from, message, role }) => {
-    const poll = pollId ? polls.get(pollId) : findPollByStudentSocket(socket.id);
-    if (!poll) return;
-    const payload = {
-      id: uuidv4(),
-      at: Date.now(),
-      from: String(from || '').slice(0, 40),
-      role: role === 'teacher' ? 'teacher' : 'student',
-      message: String(message || '').slice(0, 280)
-    };
-    io.to(poll.id).emit('chat:message', payload);
+  onEvent(socket, 'teacher:closePoll', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await teacherClosePoll(pollId);
   });
 
-  socket.on('disconnect', () => {
-    // Remove student from any poll
-    for (const poll of polls.values()) {
-      if (poll.students.has(socket.id)) {
-        poll.students.delete(socket.id);
-        io.to(poll.id).emit('roster:update', Array.from(poll.students.values()));
+  onEvent(socket, 'teacher:archivePoll', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await teacherArchivePoll(pollId);
+  });
+
+  onEvent(socket, 'teacher:endQuestion', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await teacherEndQuestion(pollId);
+  });
+
+  onEvent(socket, 'teacher:pauseQuestion', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const q = activeQuestion(poll);
+      if (q.paused) return;
+      q.remainingMs = Math.max(0, q.endsAt - Date.now());
+      q.paused = true;
+      return async () => {
+        await pollState.clearDeadline(poll.id);
+        emitTimer(poll);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:resumeQuestion', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const q = activeQuestion(poll);
+      if (!q.paused) return;
+      q.endsAt = Date.now() + q.remainingMs;
+      q.paused = false;
+      q.remainingMs = null;
+      return async () => {
+        await startQuestionTimer(poll);
+        emitTimer(poll);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:extendQuestion', async ({ pollId, seconds }) => {
+    await requireOwner(socket, pollId);
+    const extraMs = seconds * 1000;
+    await updateOwnPoll(pollId, (poll) => {
+      const q = activeQuestion(poll);
+      q.extendedMs = (q.extendedMs || 0) + extraMs;
+      if (q.paused) {
+        q.remainingMs += extraMs;
+      } else {
+        q.endsAt += extraMs;
       }
-      if (poll.teacherSocketId === socket.id) {
-        poll.teacherSocketId = null;
-        if (activePollId === poll.id) {
-          activePollId = null;
+      return async () => {
+        if (!q.paused) await startQuestionTimer(poll);
+        emitTimer(poll);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:removeStudent', async ({ pollId, studentId }) => {
+    await requireOwner(socket, pollId);
+    await teacherRemoveStudent(pollId, studentId);
+  });
+
+  onEvent(socket, 'teacher:liftBan', async ({ pollId, studentId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      if (!poll.bans.some((b) => b.id === studentId)) throw new EventError('STUDENT_NOT_FOUND', 'That student is not banned');
+      poll.bans = poll.bans.filter((b) => b.id !== studentId);
+      return () => emitBans(poll);
+    });
+  });
+
+  // Waiting room: admitted students move onto the roster and are told to finish joining
+  onEvent(socket, 'teacher:admitStudents', async ({ pollId, studentIds }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const admitted = poll.waiting.filter((w) => studentIds.includes(w.id));
+      if (!admitted.length) throw new EventError('STUDENT_NOT_FOUND', 'Those students are no longer waiting');
+      admitStudents(poll, admitted);
+      return () => {
+        for (const { socketId } of admitted) io.to(socketId).emit('student:admitted');
+        emitLobby(poll);
+        emitRoster(poll);
+        for (const student of admitted) dispatchStudentEvent(poll, 'student:joined', student);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:rejectStudent', async ({ pollId, studentId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const waiting = poll.waiting.find((w) => w.id === studentId);
+      if (!waiting) throw new EventError('STUDENT_NOT_FOUND', 'That student is no longer waiting');
+      poll.waiting = poll.waiting.filter((w) => w !== waiting);
+      return () => {
+        io.to(waiting.socketId).emit('student:rejected');
+        emitLobby(poll);
+      };
+    });
+  });
+
+  // Turning the waiting room off lets everyone still in it through
+  onEvent(socket, 'teacher:setLobbyEnabled', async ({ pollId, enabled }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      poll.lobbyEnabled = enabled;
+      const admitted = enabled ? [] : poll.waiting;
+      admitStudents(poll, admitted);
+      return () => {
+        for (const { socketId } of admitted) io.to(socketId).emit('student:admitted');
+        if (admitted.length) {
+          emitLobby(poll);
+          emitRoster(poll);
         }
-      }
-    }
-    if (waitingStudents.has(socket.id)) {
-      waitingStudents.delete(socket.id);
-    }
+        for (const student of admitted) dispatchStudentEvent(poll, 'student:joined', student);
+        emitRosterSettings(poll);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:setClassRoster', async ({ pollId, rosterId }) => {
+    await requireOwner(socket, pollId);
+    await teacherSetClassRoster(pollId, rosterId, teacherIdOf(socket.data.claims));
+  });
+
+  onEvent(socket, 'teacher:setRosterLocked', async ({ pollId, locked }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      poll.rosterLocked = locked;
+      return () => emitRosterSettings(poll);
+    });
+  });
+
+  // Applies from the next question asked; a running question keeps whether it counts
+  onEvent(socket, 'teacher:setGameMode', async ({ pollId, enabled }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      poll.gameMode = enabled;
+      return () => io.to(poll.id).emit('game:settings', { enabled: poll.gameMode });
+    });
+  });
+
+  onEvent(socket, 'teacher:resetScores', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      poll.scoreboard = {};
+      return () => {
+        io.to(teacherRoom(poll)).emit('leaderboard:update', []);
+        io.to(studentRoom(poll)).emit('leaderboard:update', []);
+        io.to(studentRoom(poll)).emit('student:score', null);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:showPodium', async ({ pollId }) => {
+    await requireOwner(socket, pollId);
+    const poll = await loadPoll(pollId);
+    if (!poll) throw new EventError('POLL_NOT_FOUND', 'Poll not found');
+    if (!Object.keys(poll.scoreboard).length) throw new EventError('NO_SCORES', 'No one has scored yet');
+    emitPodium(poll);
+  });
+
+  // Who is chatting comes from the server: the poll owner or a student on the roster.
+  // Anything the client says about its name or role is ignored.
+  onEvent(socket, 'chat:send', async ({ pollId, message }) => {
+    const isTeacher = ownsPoll(socket, pollId);
+    const targetId = isTeacher ? pollId : socket.data.pollId;
+    if (!targetId) throw new EventError('NOT_JOINED', 'Join the poll before chatting');
+    if (!chatLimiter.allow(socket.id)) throw new EventError('RATE_LIMITED', 'You are sending messages too quickly');
+    await updateOwnPoll(targetId, (poll) => {
+      if (isTeacher && !isHostSocket(socket, poll)) throw new EventError('NOT_AUTHORIZED', 'Only a teacher of this poll can do that');
+      const student = isTeacher ? null : studentOf(poll, socket);
+      const host = isTeacher && socket.data.hostId ? poll.hosts.find((h) => h.id === socket.data.hostId) : null;
+      if (!isTeacher && !student) throw new EventError('NOT_JOINED', 'You are no longer in this poll');
+      if (!isTeacher && !poll.chatEnabled) throw new EventError('CHAT_DISABLED', 'Chat is turned off');
+      if (student && student.muted) throw new EventError('MUTED', 'You have been muted by the teacher');
+      const payload = {
+        id: uuidv4(),
+        at: Date.now(),
+        from: isTeacher ? (host ? host.name : 'Teacher') : student.name,
+        role: isTeacher ? 'teacher' : 'student',
+        message: filterChat(message)
+      };
+      const participantId = student ? student.id : null;
+      return async () => {
+        await pollState.appendChat(poll.id, { ...payload, participantId }, CHAT_LOG_LIMIT);
+        // Only teachers get the sender's participant id, which they need to mute someone
+        io.to(teacherRoom(poll)).emit('chat:message', { ...payload, participantId });
+        io.to(studentRoom(poll)).emit('chat:message', payload);
+      };
+    });
+  });
+
+  // Older chat messages, for scrolling back past what came with teacher:ready / student:ready
+  onEvent(socket, 'chat:history', async ({ pollId, before }) => {
+    const isTeacher = ownsPoll(socket, pollId);
+    const poll = isTeacher ? await loadPoll(pollId) : await findPollByStudentSocket(socket);
+    if (!poll) throw new EventError('NOT_JOINED', 'Join the poll to see its chat');
+    if (isTeacher && !isHostSocket(socket, poll)) throw new EventError('NOT_AUTHORIZED', 'Only a teacher of this poll can do that');
+    return { ...(await chatPage(poll.id, { beforeId: before, forTeacher: isTeacher })), before: before || null };
+  });
+
+  onEvent(socket, 'teacher:deleteChatMessage', async ({ pollId, messageId }) => {
+    await requireOwner(socket, pollId);
+    if (!(await pollState.deleteChat(pollId, messageId))) throw new EventError('MESSAGE_NOT_FOUND', 'That message no longer exists');
+    io.to(pollId).emit('chat:deleted', { id: messageId });
   });
+
+  onEvent(socket, 'teacher:muteStudent', async ({ pollId, studentId, muted }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      const student = poll.students.get(studentId);
+      if (!student) throw new EventError('STUDENT_NOT_FOUND', 'That student is no longer in the poll');
+      student.muted = muted;
+      return () => {
+        emitToStudent(poll, studentId, 'chat:muted', { muted: student.muted });
+        emitRoster(poll);
+      };
+    });
+  });
+
+  onEvent(socket, 'teacher:setChatEnabled', async ({ pollId, enabled }) => {
+    await requireOwner(socket, pollId);
+    await updateOwnPoll(pollId, (poll) => {
+      poll.chatEnabled = enabled;
+      return () => io.to(poll.id).emit('chat:settings', { enabled: poll.chatEnabled });
+    });
+  });
+
+  socket.on('disconnect', handle(async () => {
+    chatLimiter.forget(socket.id);
+    if (!socket.data.pollId) return;
+    // Keep the student's seat for a grace period so a refresh or network blip can resume it.
+    // A waiting student just leaves the waiting room; reconnecting puts them back in it.
+    await updatePoll(socket.data.pollId, (poll) => {
+      const waiting = poll.waiting.find((w) => w.socketId === socket.id);
+      if (waiting) {
+        poll.waiting = poll.waiting.filter((w) => w !== waiting);
+        return () => emitLobby(poll);
+      }
+      const student = studentOf(poll, socket);
+      if (!student || student.socketId !== socket.id) return;
+      student.connected = false;
+      student.socketId = null;
+      markLeft(poll, student.id);
+      return () => {
+        emitRoster(poll);
+        scheduleStudentRemoval(poll.id, student.id);
+      };
+    });
+  }));
 });
 
+await moveEmbeddedLogs();
+await restorePolls();
+setInterval(handle(checkDeadlines), DEADLINE_CHECK_MS);
+setInterval(handle(sweepIdlePolls), POLL_SWEEP_MS);
+
 httpServer.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
 });
 
+// Stops the clock of running questions while the server is down; restorePolls hands the time
+// back. With shared state other instances keep running them, so there is nothing to stop.
+async function saveRemainingTime() {
+  if (pollState.shared) return;
+  const now = Date.now();
+  for (const { id } of await pollState.list()) {
+    await updatePoll(id, (poll) => {
+      const q = poll.currentQuestion;
+      if (q && q.status === 'active' && !q.paused) q.remainingMs = Math.max(0, q.endsAt - now);
+    }, { touch: false });
+  }
+}
+
+// Runs once: a second Ctrl+C while saving does not start over. The process exits even when
+// saving fails (say Redis is gone), with a non-zero code.
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  let code = 0;
+  try {
+    await saveRemainingTime();
+    await pollState.flush();
+    store.flush();
+  } catch (err) {
+    console.error('Could not save state on shutdown:', err);
+    code = 1;
+  } finally {
+    process.exit(code);
+  }
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
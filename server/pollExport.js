@@ -0,0 +1,138 @@
+import { toCsv } from './csv.js';
+import { describeAnswer } from './questionTypes.js';
+
+// Exports of a poll's finished questions: a per-question summary and a
+// per-student response matrix. Questions are listed oldest first. The JSON
+// export and the chat CSV also carry the poll's chat log.
+
+function finishedQuestions(poll) {
+  return [...poll.pastQuestions].reverse();
+}
+
+function resultText(q) {
+  if (q.options) return q.options.map((o) => `${o.text}: ${o.count}`).join(' | ');
+  if (q.stats) return `mean ${q.stats.mean}, median ${q.stats.median}, range ${q.stats.min}–${q.stats.max}`;
+  if (q.words) return q.words.slice(0, 10).map((w) => `${w.text} (${w.count})`).join(', ');
+  return '';
+}
+
+function averageResponseSec(q) {
+  const responses = q.responses || [];
+  if (!responses.length) return null;
+  const total = responses.reduce((sum, r) => sum + (r.responseMs || 0), 0);
+  return Math.round(total / responses.length / 100) / 10;
+}
+
+// Everyone who answered at least one question, plus whoever is on the roster now
+function participants(poll, questions) {
+  const people = new Map();
+  for (const q of questions) {
+    if (q.anonymous) continue;
+    for (const r of q.responses || []) people.set(r.participantId, r.name || people.get(r.participantId) || '');
+  }
+  for (const s of poll.students.values()) {
+    if (!people.has(s.id)) people.set(s.id, s.name);
+  }
+  return Array.from(people, ([participantId, name]) => ({ participantId, name }));
+}
+
+export function buildPollExport(poll) {
+  const questions = finishedQuestions(poll);
+  return {
+    poll: { id: poll.id, createdAt: poll.createdAt, exportedAt: Date.now() },
+    questions: questions.map((q, idx) => ({
+      number: idx + 1,
+      questionId: q.questionId,
+      type: q.type,
+      text: q.text,
+      reason: q.reason,
+      anonymous: Boolean(q.anonymous),
+      askedAt: q.askedAt,
+      finishedAt: q.finishedAt,
+      totalAnswers: q.totalAnswers,
+      correctAnswers: q.hasCorrect ? q.correctAnswers : null,
+      accuracy: q.accuracy,
+      averageResponseSec: averageResponseSec(q),
+      results: q.options || q.histogram || q.words || null,
+      // Anonymous questions never carry participant ids or names
+      responses: (q.responses || []).map((r) => ({
+        participantId: q.anonymous ? null : r.participantId,
+        name: q.anonymous ? null : r.name,
+        answer: r.answer,
+        answerText: describeAnswer(q, r.answer),
+        correct: q.hasCorrect ? r.correct : null,
+        answeredAt: r.at,
+        responseMs: r.responseMs
+      }))
+    })),
+    students: participants(poll, questions),
+    chat: (poll.chat || []).map(({ id, at, from, role, participantId, message }) => ({ id, at, from, role, participantId, message }))
+  };
+}
+
+export function chatCsv(poll) {
+  const rows = [['Time', 'From', 'Role', 'Participant ID', 'Message']];
+  for (const m of poll.chat || []) {
+    rows.push([new Date(m.at).toISOString(), m.from, m.role, m.participantId || '', m.message]);
+  }
+  return toCsv(rows);
+}
+
+export function summaryCsv(poll) {
+  const rows = [[
+    'Question', 'Question ID', 'Type', 'Text', 'Ended by', 'Asked at', 'Finished at',
+    'Answers', 'Correct', 'Accuracy %', 'Avg response (s)', 'Results'
+  ]];
+  finishedQuestions(poll).forEach((q, idx) => {
+    rows.push([
+      idx + 1,
+      q.questionId,
+      q.type || 'single',
+      q.text,
+      q.reason,
+      q.askedAt ? new Date(q.askedAt).toISOString() : '',
+      q.finishedAt ? new Date(q.finishedAt).toISOString() : '',
+      q.totalAnswers,
+      q.hasCorrect ? q.correctAnswers : '',
+      q.accuracy == null ? '' : q.accuracy,
+      averageResponseSec(q) ?? '',
+      resultText(q)
+    ]);
+  });
+  return toCsv(rows);
+}
+
+// One row per student, with answer / correct / response time columns for every question
+export function responseMatrixCsv(poll) {
+  const questions = finishedQuestions(poll);
+  const header = ['Student', 'Participant ID'];
+  questions.forEach((q, idx) => {
+    header.push(`Q${idx + 1} answer`, `Q${idx + 1} correct`, `Q${idx + 1} time (s)`);
+  });
+  header.push('Total correct');
+
+  const rows = participants(poll, questions).map(({ participantId, name }) => {
+    const row = [name, participantId];
+    let totalCorrect = 0;
+    for (const q of questions) {
+      if (q.anonymous) {
+        row.push('(anonymous)', '', '');
+        continue;
+      }
+      const r = (q.responses || []).find((x) => x.participantId === participantId);
+      if (!r) {
+        row.push('', '', '');
+        continue;
+      }
+      if (q.hasCorrect && r.correct) totalCorrect += 1;
+      row.push(
+        describeAnswer(q, r.answer),
+        q.hasCorrect ? (r.correct ? 'yes' : 'no') : '',
+        r.responseMs != null ? Math.round(r.responseMs / 100) / 10 : ''
+      );
+    }
+    row.push(totalCorrect);
+    return row;
+  });
+  return toCsv([header, ...rows]);
+}
@@ -0,0 +1,48 @@
+// Per-question history for the teacher dashboard and GET /api/polls/:id/history.
+// Unlike the exports, this never includes individual responses.
+
+// Upper bounds in seconds; anything slower lands in the last bucket
+const RESPONSE_TIME_BUCKETS = [5, 10, 20, 30, 60];
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Distribution of how long students took to answer, from a list of response times in ms
+export function responseTimeSummary(responseMs) {
+  const seconds = responseMs.filter((ms) => Number.isFinite(ms)).map((ms) => ms / 1000).sort((a, b) => a - b);
+  const buckets = RESPONSE_TIME_BUCKETS.map((max, idx) => ({
+    label: `${idx ? RESPONSE_TIME_BUCKETS[idx - 1] : 0}–${max}s`,
+    count: 0
+  }));
+  buckets.push({ label: `${RESPONSE_TIME_BUCKETS[RESPONSE_TIME_BUCKETS.length - 1]}s+`, count: 0 });
+  for (const s of seconds) {
+    const idx = RESPONSE_TIME_BUCKETS.findIndex((max) => s < max);
+    buckets[idx === -1 ? buckets.length - 1 : idx].count += 1;
+  }
+  if (!seconds.length) return { averageSec: null, medianSec: null, fastestSec: null, slowestSec: null, buckets };
+  const mid = Math.floor(seconds.length / 2);
+  return {
+    averageSec: round1(seconds.reduce((sum, s) => sum + s, 0) / seconds.length),
+    medianSec: round1(seconds.length % 2 ? seconds[mid] : (seconds[mid - 1] + seconds[mid]) / 2),
+    fastestSec: round1(seconds[0]),
+    slowestSec: round1(seconds[seconds.length - 1]),
+    buckets
+  };
+}
+
+// Finished questions oldest first. Questions saved before these stats existed get
+// their response times rebuilt from the stored responses.
+export function buildPollHistory(poll) {
+  const questions = [...poll.pastQuestions].reverse().map(({ responses, ...q }, idx) => ({
+    number: idx + 1,
+    ...q,
+    studentsTotal: q.studentsTotal ?? null,
+    participation: q.participation ?? null,
+    responseTimes: q.responseTimes || responseTimeSummary((responses || []).map((r) => r.responseMs))
+  }));
+  return {
+    poll: { id: poll.id, status: poll.status, createdAt: poll.createdAt, studentsNow: poll.students.size },
+    questions
+  };
+}
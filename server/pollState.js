@@ -0,0 +1,270 @@
+// Shared poll state. Every server instance reads and writes polls through this
+// interface instead of keeping them in process memory, so several instances can
+// serve the same poll behind a load balancer. Polls are plain JSON records (see
+// toRecord/fromRecord in store.js). All methods return promises:
+//   get(id)                  -> the poll record, or null
+//   create(record)           -> false when a poll with that id already exists
+//   update(id, mutate)       -> runs mutate(record) on the latest copy and saves what it returns,
+//                               atomically per poll; resolves to the saved record, or null if missing
+//   remove(id)
+//   list()                   -> every poll record
+//   setDeadline(pollId, questionId, at)  -> when the poll's current question should end
+//   clearDeadline(pollId)
+//   takeDueDeadlines(now)    -> [{ pollId, questionId }] whose time has come; each one is handed
+//                               to exactly one caller, so only one instance ends the question
+//   appendChat(pollId, message, limit)  -> adds to the chat log, keeping the newest `limit` messages
+//   chatLog(pollId)          -> the chat log, oldest first
+//   deleteChat(pollId, messageId)       -> false when there is no such message
+//   saveResponses(pollId, questionId, responses)  -> the individual answers to a finished question
+//   responsesOf(pollId)      -> { questionId: responses } for every finished question
+//   listItems(collection)    -> every item of a named collection (webhooks, class rosters...), in no set order
+//   getItem(collection, id)  -> one item, or null
+//   putItem(collection, item)    -> adds the item, or replaces the one with the same id
+//   removeItem(collection, id)   -> false when there was no such item
+//   flush()                  -> write any pending changes now
+// The chat log and past responses are kept apart from the poll record, which is rewritten on
+// every answer: they only grow, and only chat history and exports read them. remove(id) drops them too.
+// Collections hold what is not part of any one poll but must look the same from every instance.
+
+// Single-process state on top of a store.js backend (file or memory). Every method
+// finishes synchronously, which makes update() atomic without locks.
+export function createInProcessPollState(store) {
+  const records = new Map(); // id -> JSON string, so callers never share objects with the state
+  const deadlines = new Map(); // pollId -> { questionId, at }
+  for (const record of store.load()) records.set(record.id, JSON.stringify(record));
+
+  const read = (id) => (records.has(id) ? JSON.parse(records.get(id)) : null);
+  const write = (record) => {
+    const json = JSON.stringify(record);
+    if (records.get(record.id) === json) return;
+    records.set(record.id, json);
+    store.save(record);
+  };
+
+  // Chat logs and responses (chat:<pollId>, responses:<pollId>) and item collections, as store
+  // collections loaded on first use
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, store.loadCollection(name));
+    return collections.get(name);
+  };
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  return {
+    shared: false,
+    get: async (id) => read(id),
+    create: async (record) => {
+      if (records.has(record.id)) return false;
+      write(record);
+      return true;
+    },
+    update: async (id, mutate) => {
+      const current = read(id);
+      if (!current) return null;
+      const next = mutate(current);
+      write(next);
+      return next;
+    },
+    remove: async (id) => {
+      records.delete(id);
+      deadlines.delete(id);
+      store.remove(id);
+      for (const name of [`chat:${id}`, `responses:${id}`]) {
+        collections.delete(name);
+        store.removeCollection(name);
+      }
+    },
+    list: async () => Array.from(records.keys(), read),
+    setDeadline: async (pollId, questionId, at) => {
+      deadlines.set(pollId, { questionId, at });
+    },
+    clearDeadline: async (pollId) => {
+      deadlines.delete(pollId);
+    },
+    takeDueDeadlines: async (now) => {
+      const due = [];
+      for (const [pollId, { questionId, at }] of deadlines) {
+        if (at > now) continue;
+        deadlines.delete(pollId);
+        due.push({ pollId, questionId });
+      }
+      return due;
+    },
+    appendChat: async (pollId, message, limit) => {
+      const chat = collection(`chat:${pollId}`);
+      chat.push(copy(message));
+      if (chat.length > limit) chat.splice(0, chat.length - limit);
+      store.saveCollection(`chat:${pollId}`, chat);
+    },
+    chatLog: async (pollId) => copy(collection(`chat:${pollId}`)),
+    deleteChat: async (pollId, messageId) => {
+      const chat = collection(`chat:${pollId}`);
+      const idx = chat.findIndex((m) => m.id === messageId);
+      if (idx === -1) return false;
+      chat.splice(idx, 1);
+      store.saveCollection(`chat:${pollId}`, chat);
+      return true;
+    },
+    saveResponses: async (pollId, questionId, responses) => {
+      const saved = collection(`responses:${pollId}`);
+      saved.push({ questionId, responses: copy(responses) });
+      store.saveCollection(`responses:${pollId}`, saved);
+    },
+    responsesOf: async (pollId) => Object.fromEntries(collection(`responses:${pollId}`).map((r) => [r.questionId, copy(r.responses)])),
+    listItems: async (name) => copy(collection(name)),
+    getItem: async (name, id) => {
+      const item = collection(name).find((i) => i.id === id);
+      return item ? copy(item) : null;
+    },
+    putItem: async (name, item) => {
+      const items = collection(name);
+      const idx = items.findIndex((i) => i.id === item.id);
+      if (idx === -1) items.push(copy(item));
+      else items[idx] = copy(item);
+      store.saveCollection(name, items);
+    },
+    removeItem: async (name, id) => {
+      const items = collection(name);
+      const idx = items.findIndex((i) => i.id === id);
+      if (idx === -1) return false;
+      items.splice(idx, 1);
+      store.saveCollection(name, items);
+      return true;
+    },
+    flush: async () => store.flush()
+  };
+}
+
+// Claims every deadline due by ARGV[1] and returns [pollId, questionId, pollId, questionId, ...]
+const TAKE_DUE_DEADLINES = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], 0, ARGV[1])
+local claimed = {}
+for _, pollId in ipairs(due) do
+  redis.call('ZREM', KEYS[1], pollId)
+  table.insert(claimed, pollId)
+  table.insert(claimed, redis.call('HGET', KEYS[2], pollId) or '')
+end
+return claimed
+`;
+
+// Redis-backed state for running several instances. Needs the optional `redis` package.
+// Keys: <prefix>poll:<id> holds the record as JSON, <prefix>polls is the set of ids,
+// <prefix>deadlines is a sorted set of poll ids scored by end time,
+// <prefix>deadlineQuestions maps poll id -> question id, <prefix>chat:<id> is a list of
+// chat messages as JSON, <prefix>responses:<id> maps question id -> responses as JSON and
+// <prefix>items:<collection> maps item id -> item as JSON.
+export async function createRedisPollState(url, { prefix = 'livepoll:', maxRetries = 20 } = {}) {
+  const { createClient, WatchError } = await import('redis');
+  const client = createClient({ url });
+  client.on('error', (err) => console.error('Redis poll state error:', err.message));
+  await client.connect();
+
+  const pollKey = (id) => `${prefix}poll:${id}`;
+  const idsKey = `${prefix}polls`;
+  const deadlinesKey = `${prefix}deadlines`;
+  const deadlineQuestionsKey = `${prefix}deadlineQuestions`;
+  const chatKey = (id) => `${prefix}chat:${id}`;
+  const responsesKey = (id) => `${prefix}responses:${id}`;
+  const itemsKey = (name) => `${prefix}items:${name}`;
+
+  const parse = (json) => (json ? JSON.parse(json) : null);
+
+  return {
+    shared: true,
+    get: async (id) => parse(await client.get(pollKey(id))),
+    create: async (record) => {
+      const created = await client.set(pollKey(record.id), JSON.stringify(record), { NX: true });
+      if (!created) return false;
+      await client.sAdd(idsKey, record.id);
+      return true;
+    },
+    // Optimistic locking: WATCH the key, and start over if another instance wrote it meanwhile
+    update: async (id, mutate) => {
+      const key = pollKey(id);
+      for (let attempt = 0; attempt < maxRetries; attempt += 1) {
+        try {
+          return await client.executeIsolated(async (isolated) => {
+            await isolated.watch(key);
+            const json = await isolated.get(key);
+            if (!json) {
+              await isolated.unwatch();
+              return null;
+            }
+            const record = mutate(JSON.parse(json));
+            const next = JSON.stringify(record);
+            if (next !== json) await isolated.multi().set(key, next).exec();
+            else await isolated.unwatch();
+            return record;
+          });
+        } catch (err) {
+          if (!(err instanceof WatchError)) throw err;
+        }
+      }
+      throw new Error(`Could not update poll ${id}: too much contention`);
+    },
+    remove: async (id) => {
+      await client.multi()
+        .del([pollKey(id), chatKey(id), responsesKey(id)])
+        .sRem(idsKey, id)
+        .zRem(deadlinesKey, id)
+        .hDel(deadlineQuestionsKey, id)
+        .exec();
+    },
+    list: async () => {
+      const ids = await client.sMembers(idsKey);
+      if (!ids.length) return [];
+      return (await client.mGet(ids.map(pollKey))).map(parse).filter(Boolean);
+    },
+    setDeadline: async (pollId, questionId, at) => {
+      await client.multi()
+        .hSet(deadlineQuestionsKey, pollId, questionId)
+        .zAdd(deadlinesKey, { score: at, value: pollId })
+        .exec();
+    },
+    clearDeadline: async (pollId) => {
+      await client.multi().zRem(deadlinesKey, pollId).hDel(deadlineQuestionsKey, pollId).exec();
+    },
+    // One Lua script claims and removes every due deadline, so no two instances get the same one
+    takeDueDeadlines: async (now) => {
+      const claimed = await client.eval(TAKE_DUE_DEADLINES, {
+        keys: [deadlinesKey, deadlineQuestionsKey],
+        arguments: [String(now)]
+      });
+      const due = [];
+      for (let i = 0; i < claimed.length; i += 2) due.push({ pollId: claimed[i], questionId: claimed[i + 1] });
+      return due;
+    },
+    appendChat: async (pollId, message, limit) => {
+      await client.multi()
+        .rPush(chatKey(pollId), JSON.stringify(message))
+        .lTrim(chatKey(pollId), -limit, -1)
+        .exec();
+    },
+    chatLog: async (pollId) => (await client.lRange(chatKey(pollId), 0, -1)).map(parse),
+    // LREM by value, so a message appended or trimmed meanwhile does not shift what gets removed
+    deleteChat: async (pollId, messageId) => {
+      const json = (await client.lRange(chatKey(pollId), 0, -1)).find((m) => parse(m).id === messageId);
+      return Boolean(json) && (await client.lRem(chatKey(pollId), 1, json)) > 0;
+    },
+    saveResponses: async (pollId, questionId, responses) => {
+      await client.hSet(responsesKey(pollId), questionId, JSON.stringify(responses));
+    },
+    responsesOf: async (pollId) => {
+      const saved = await client.hGetAll(responsesKey(pollId));
+      return Object.fromEntries(Object.entries(saved).map(([questionId, json]) => [questionId, parse(json)]));
+    },
+    listItems: async (name) => Object.values(await client.hGetAll(itemsKey(name))).map(parse),
+    getItem: async (name, id) => parse(await client.hGet(itemsKey(name), id)),
+    putItem: async (name, item) => {
+      await client.hSet(itemsKey(name), item.id, JSON.stringify(item));
+    },
+    removeItem: async (name, id) => (await client.hDel(itemsKey(name), id)) > 0,
+    flush: async () => {}
+  };
+}
+
+export async function createPollState(kind = 'local', { store, redisUrl } = {}) {
+  if (kind === 'local') return createInProcessPollState(store);
+  if (kind === 'redis') return createRedisPollState(redisUrl);
+  throw new Error(`Unknown poll state "${kind}"`);
+}
@@ -0,0 +1,236 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isQuestionType } from './questionTypes.js';
+import { toCsv, parseCsvObjects } from './csv.js';
+import { HttpError } from './httpError.js';
+
+// Saved questions and ordered quizzes that outlive a single poll. Both are kept in the poll
+// state as collections (see pollState.js), so every instance sees the same bank. Each
+// belongs to the teacher who saved it (ownerId, their teacher id from auth.js).
+
+const QUESTIONS = 'questions';
+const QUIZZES = 'quizzes';
+
+const CSV_COLUMNS = ['type', 'text', 'options', 'correct', 'tolerance', 'durationSec', 'tags'];
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,|]/);
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase().slice(0, 30)).filter(Boolean))].slice(0, 10);
+}
+
+function normalizeQuestion(input) {
+  const type = input.type || 'single';
+  if (!isQuestionType(type)) throw new HttpError(`Unknown question type "${type}"`);
+  const text = String(input.text || '').trim().slice(0, 140);
+  if (!text) throw new HttpError('Question text is required');
+
+  const question = {
+    type,
+    text,
+    durationSec: Number(input.durationSec) > 0 ? Math.min(Number(input.durationSec), 300) : 60,
+    resultsVisibility: ['live', 'after_close', 'never'].includes(input.resultsVisibility) ? input.resultsVisibility : 'live',
+    anonymous: Boolean(input.anonymous),
+    tags: normalizeTags(input.tags)
+  };
+  if (type === 'single' || type === 'multi') {
+    question.options = (Array.isArray(input.options) ? input.options : [])
+      .map((o) => (o && typeof o === 'object'
+        ? { text: String(o.text || '').trim().slice(0, 80), isCorrect: Boolean(o.isCorrect) }
+        : { text: String(o || '').trim().slice(0, 80), isCorrect: false }))
+      .filter((o) => o.text);
+    if (question.options.length < 2) throw new HttpError('Choice questions need at least two options');
+  }
+  if (type === 'truefalse') {
+    question.correctValue = typeof input.correctValue === 'boolean' ? input.correctValue : null;
+  }
+  if (type === 'numeric') {
+    const hasValue = input.correctValue !== '' && input.correctValue != null && Number.isFinite(Number(input.correctValue));
+    question.correctValue = hasValue ? Number(input.correctValue) : null;
+    question.tolerance = Number(input.tolerance) > 0 ? Number(input.tolerance) : 0;
+  }
+  return question;
+}
+
+// CSV row -> question input. Options and tags are '|'-separated; `correct` holds the
+// 1-based numbers of the right options, true/false, or the expected number.
+function questionFromCsvRow(row) {
+  const input = {
+    type: row.type || 'single',
+    text: row.text,
+    durationSec: row.durationsec,
+    tags: row.tags,
+    tolerance: row.tolerance
+  };
+  const correct = String(row.correct || '').trim();
+  if (input.type === 'single' || input.type === 'multi') {
+    const right = new Set(correct.split('|').map((n) => Number(n)));
+    input.options = String(row.options || '').split('|').map((text, idx) => ({ text, isCorrect: right.has(idx + 1) }));
+  } else if (input.type === 'truefalse') {
+    input.correctValue = correct.toLowerCase() === 'true' ? true : correct.toLowerCase() === 'false' ? false : null;
+  } else if (input.type === 'numeric') {
+    input.correctValue = correct;
+  }
+  return input;
+}
+
+function questionToCsvRow(q) {
+  let correct = '';
+  if (q.options) {
+    correct = q.options.map((o, idx) => (o.isCorrect ? idx + 1 : null)).filter(Boolean).join('|');
+  } else if (q.correctValue != null) {
+    correct = String(q.correctValue);
+  }
+  return [
+    q.type,
+    q.text,
+    q.options ? q.options.map((o) => o.text).join('|') : '',
+    correct,
+    q.type === 'numeric' ? q.tolerance : '',
+    q.durationSec,
+    q.tags.join('|')
+  ];
+}
+
+// `requester` is { teacherId, admin } (see requireTeacherOrAdminToken in auth.js). Someone
+// else's question or quiz is reported as not found; ones saved before owners were recorded
+// belong to nobody, so only the admin reaches them.
+function canUse(item, { teacherId, admin }) {
+  return admin || (Boolean(item.ownerId) && item.ownerId === teacherId);
+}
+
+export function createQuestionBank(pollState) {
+  async function getQuestion(id, requester) {
+    const q = await pollState.getItem(QUESTIONS, id);
+    if (!q || !canUse(q, requester)) throw new HttpError('Question not found', 404);
+    return q;
+  }
+
+  async function getQuiz(id, requester) {
+    const quiz = await pollState.getItem(QUIZZES, id);
+    if (!quiz || !canUse(quiz, requester)) throw new HttpError('Quiz not found', 404);
+    return quiz;
+  }
+
+  // A quiz can only list questions its author can reach
+  async function checkQuestionIds(ids, requester) {
+    if (!Array.isArray(ids)) return [];
+    for (const id of ids) await getQuestion(id, requester);
+    return ids;
+  }
+
+  async function createQuestion(input, requester) {
+    const now = Date.now();
+    const q = { id: uuidv4(), ...normalizeQuestion(input || {}), ownerId: requester.teacherId, createdAt: now, updatedAt: now };
+    await pollState.putItem(QUESTIONS, q);
+    return q;
+  }
+
+  async function createQuiz(input, requester) {
+    const title = String((input && input.title) || '').trim().slice(0, 100);
+    if (!title) throw new HttpError('Quiz title is required');
+    const now = Date.now();
+    const quiz = {
+      id: uuidv4(),
+      title,
+      tags: normalizeTags(input.tags),
+      questionIds: await checkQuestionIds(input.questionIds, requester),
+      ownerId: requester.teacherId,
+      createdAt: now,
+      updatedAt: now
+    };
+    await pollState.putItem(QUIZZES, quiz);
+    return quiz;
+  }
+
+  // A quiz with its questions inlined, in order
+  async function expandQuiz(quiz) {
+    const questions = await Promise.all(quiz.questionIds.map((id) => pollState.getItem(QUESTIONS, id)));
+    return { ...quiz, questions: questions.filter(Boolean) };
+  }
+
+  async function listOwn(collection, requester, tag) {
+    const all = (await pollState.listItems(collection)).filter((item) => canUse(item, requester));
+    return (tag ? all.filter((item) => item.tags.includes(String(tag).toLowerCase())) : all)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  return {
+    listQuestions: (requester, { tag } = {}) => listOwn(QUESTIONS, requester, tag),
+    getQuestion,
+    createQuestion,
+    async updateQuestion(id, input, requester) {
+      const existing = await getQuestion(id, requester);
+      // Built from the normalized fields alone, so a new type leaves nothing of the old one behind
+      const { ownerId, createdAt } = existing;
+      const q = { id, ...normalizeQuestion({ ...existing, ...input }), ownerId, createdAt, updatedAt: Date.now() };
+      await pollState.putItem(QUESTIONS, q);
+      return q;
+    },
+    async deleteQuestion(id, requester) {
+      await getQuestion(id, requester);
+      await pollState.removeItem(QUESTIONS, id);
+      // Drop the question from every quiz that referenced it
+      for (const quiz of await pollState.listItems(QUIZZES)) {
+        if (!quiz.questionIds.includes(id)) continue;
+        await pollState.putItem(QUIZZES, { ...quiz, questionIds: quiz.questionIds.filter((qid) => qid !== id) });
+      }
+    },
+
+    listQuizzes: (requester, { tag } = {}) => listOwn(QUIZZES, requester, tag),
+    getQuiz: async (id, requester) => expandQuiz(await getQuiz(id, requester)),
+    createQuiz,
+    async updateQuiz(id, input, requester) {
+      const existing = await getQuiz(id, requester);
+      const quiz = {
+        ...existing,
+        title: input.title !== undefined ? String(input.title).trim().slice(0, 100) || existing.title : existing.title,
+        tags: input.tags !== undefined ? normalizeTags(input.tags) : existing.tags,
+        questionIds: input.questionIds !== undefined ? await checkQuestionIds(input.questionIds, requester) : existing.questionIds,
+        updatedAt: Date.now()
+      };
+      await pollState.putItem(QUIZZES, quiz);
+      return quiz;
+    },
+    async deleteQuiz(id, requester) {
+      await getQuiz(id, requester);
+      await pollState.removeItem(QUIZZES, id);
+    },
+
+    // Self-contained quiz file other teachers can import
+    async exportQuiz(id, requester, format = 'json') {
+      const { title, tags, questions: list } = await expandQuiz(await getQuiz(id, requester));
+      if (format === 'csv') return toCsv([CSV_COLUMNS, ...list.map(questionToCsvRow)]);
+      return {
+        title,
+        tags,
+        questions: list.map(({ id: _id, ownerId, createdAt, updatedAt, ...q }) => q)
+      };
+    },
+
+    // Creates new bank questions plus a quiz that lists them in file order, all owned by the importer
+    async importQuiz(data, requester, { format = 'json', title } = {}) {
+      let inputs;
+      let quizTitle = title;
+      let tags = [];
+      if (format === 'csv') {
+        inputs = parseCsvObjects(data).map(questionFromCsvRow);
+      } else {
+        if (!data || !Array.isArray(data.questions)) throw new HttpError('Expected an object with a "questions" array');
+        inputs = data.questions;
+        quizTitle = title || data.title;
+        tags = data.tags;
+      }
+      if (!inputs.length) throw new HttpError('The file contains no questions');
+      // Validate everything first so a bad row doesn't leave a half-imported quiz
+      const normalized = inputs.map((input, idx) => {
+        try {
+          return normalizeQuestion(input);
+        } catch (err) {
+          throw new HttpError(`Question ${idx + 1}: ${err.message}`);
+        }
+      });
+      const created = [];
+      for (const q of normalized) created.push(await createQuestion(q, requester));
+      return expandQuiz(await createQuiz({ title: quizTitle || 'Imported quiz', tags, questionIds: created.map((q) => q.id) }, requester));
+    }
+  };
+}
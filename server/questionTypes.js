@@ -0,0 +1,189 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Question types. Each entry knows how to:
+//   build(payload)          -> type-specific fields for a new question (options, correctValue...)
+//   parseAnswer(q, raw)     -> the normalized answer, or undefined when it is not valid
+//   isCorrect(q, answer)    -> whether an answer is right (only used when q.hasCorrect)
+//   summarize(q, answers)   -> the type's result format for results:update / questionFinished
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'is', 'it',
+  'of', 'on', 'or', 'so', 'that', 'the', 'to', 'was', 'with'
+]);
+
+function normalizeOptions(options, fallback) {
+  // options may be plain strings or { text, isCorrect } objects
+  return (options && options.length ? options : fallback).map((o) => ({
+    id: uuidv4(),
+    text: String(o && typeof o === 'object' ? o.text : o).slice(0, 80),
+    isCorrect: Boolean(o && typeof o === 'object' && o.isCorrect)
+  }));
+}
+
+function countOptions(q, answers, toIds) {
+  const counts = new Map(q.options.map((o) => [o.id, 0]));
+  for (const answer of answers) {
+    for (const id of toIds(answer)) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return q.options.map(({ id, text, isCorrect }) => ({ id, text, isCorrect, count: counts.get(id) || 0 }));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function histogram(values, maxBins = 10) {
+  if (!values.length) return [];
+  const sorted = [...values].sort((a, b) => a - b);
+  const distinct = [...new Set(sorted)];
+  if (distinct.length <= maxBins) {
+    return distinct.map((v) => ({ label: String(v), min: v, max: v, count: sorted.filter((x) => x === v).length }));
+  }
+  const min = sorted[0];
+  const width = (sorted[sorted.length - 1] - min) / maxBins;
+  const bins = Array.from({ length: maxBins }, (_, i) => ({ min: min + i * width, max: min + (i + 1) * width, count: 0 }));
+  for (const v of sorted) bins[Math.min(maxBins - 1, Math.floor((v - min) / width))].count += 1;
+  return bins.map((b) => ({ label: `${round(b.min)}–${round(b.max)}`, min: round(b.min), max: round(b.max), count: b.count }));
+}
+
+function numericStats(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    median: sorted.length % 2 ? sorted[mid] : round((sorted[mid - 1] + sorted[mid]) / 2)
+  };
+}
+
+function wordCounts(texts, limit = 50) {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const word of text.toLowerCase().split(/[^\p{L}\p{N}']+/u)) {
+      if (word.length < 2 || STOP_WORDS.has(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([text, count]) => ({ text, count }))
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+    .slice(0, limit);
+}
+
+const singleChoice = {
+  build: ({ options }) => {
+    const normalized = normalizeOptions(options, ['A', 'B', 'C', 'D']);
+    return { options: normalized, hasCorrect: normalized.some((o) => o.isCorrect) };
+  },
+  parseAnswer: (q, raw) => (q.options.some((o) => o.id === raw) ? raw : undefined),
+  isCorrect: (q, answer) => q.options.some((o) => o.id === answer && o.isCorrect),
+  summarize: (q, answers) => ({ options: countOptions(q, answers, (a) => [a]) })
+};
+
+export const QUESTION_TYPES = {
+  single: singleChoice,
+
+  multi: {
+    build: singleChoice.build,
+    parseAnswer: (q, raw) => {
+      if (!Array.isArray(raw)) return undefined;
+      const ids = [...new Set(raw)];
+      if (!ids.length || !ids.every((id) => q.options.some((o) => o.id === id))) return undefined;
+      return ids;
+    },
+    // Right only when the student picked exactly the correct options
+    isCorrect: (q, answer) => {
+      const correct = q.options.filter((o) => o.isCorrect).map((o) => o.id);
+      return correct.length === answer.length && correct.every((id) => answer.includes(id));
+    },
+    summarize: (q, answers) => ({ options: countOptions(q, answers, (a) => a) })
+  },
+
+  truefalse: {
+    build: ({ correctValue }) => {
+      const hasCorrect = typeof correctValue === 'boolean';
+      const options = normalizeOptions([
+        { text: 'True', isCorrect: correctValue === true },
+        { text: 'False', isCorrect: correctValue === false }
+      ]);
+      return { options, hasCorrect };
+    },
+    parseAnswer: singleChoice.parseAnswer,
+    isCorrect: singleChoice.isCorrect,
+    summarize: singleChoice.summarize
+  },
+
+  rating: {
+    build: () => ({ options: normalizeOptions(['1', '2', '3', '4', '5']), hasCorrect: false }),
+    parseAnswer: singleChoice.parseAnswer,
+    isCorrect: () => false,
+    summarize: (q, answers) => {
+      const options = countOptions(q, answers, (a) => [a]);
+      const total = options.reduce((sum, o) => sum + o.count, 0);
+      const points = options.reduce((sum, o, idx) => sum + o.count * (idx + 1), 0);
+      return { options, average: total ? round(points / total) : null };
+    }
+  },
+
+  numeric: {
+    build: ({ correctValue, tolerance }) => {
+      const hasCorrect = correctValue !== '' && correctValue !== null && Number.isFinite(Number(correctValue));
+      return {
+        hasCorrect,
+        correctValue: hasCorrect ? Number(correctValue) : null,
+        tolerance: Number(tolerance) > 0 ? Number(tolerance) : 0
+      };
+    },
+    parseAnswer: (q, raw) => {
+      if (raw === '' || raw === null || typeof raw === 'boolean') return undefined;
+      const value = Number(raw);
+      return Number.isFinite(value) ? value : undefined;
+    },
+    isCorrect: (q, answer) => Math.abs(answer - q.correctValue) <= q.tolerance,
+    summarize: (q, answers) => ({ histogram: histogram(answers), stats: numericStats(answers) })
+  },
+
+  text: {
+    build: () => ({ hasCorrect: false }),
+    parseAnswer: (q, raw) => {
+      const text = String(raw == null ? '' : raw).trim().slice(0, 80);
+      return text ? text : undefined;
+    },
+    isCorrect: () => false,
+    summarize: (q, answers) => ({ words: wordCounts(answers) })
+  }
+};
+
+export function isQuestionType(type) {
+  return Object.prototype.hasOwnProperty.call(QUESTION_TYPES, type);
+}
+
+export function buildQuestionFields(type, payload) {
+  return { type, ...QUESTION_TYPES[type].build(payload || {}) };
+}
+
+export function parseAnswer(q, raw) {
+  return QUESTION_TYPES[q.type].parseAnswer(q, raw);
+}
+
+export function isAnswerCorrect(q, answer) {
+  return q.hasCorrect && QUESTION_TYPES[q.type].isCorrect(q, answer);
+}
+
+export function summarizeAnswers(q) {
+  const answers = Array.from(q.answers.values(), (a) => a.answer);
+  return { type: q.type, ...QUESTION_TYPES[q.type].summarize(q, answers) };
+}
+
+// Human-readable form of an answer, for exports
+export function describeAnswer(q, answer) {
+  if (answer == null) return '';
+  const optionText = (id) => {
+    const option = q.options && q.options.find((o) => o.id === id);
+    return option ? option.text : '';
+  };
+  if (Array.isArray(answer)) return answer.map(optionText).join('; ');
+  if (q.options) return optionText(answer);
+  return String(answer);
+}
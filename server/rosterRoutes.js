@@ -0,0 +1,24 @@
+import express from 'express';
+import { HttpError } from './httpError.js';
+import { requireTeacherOrAdminToken } from './auth.js';
+
+// REST endpoints for class rosters; a teacher reaches their own, the admin everyone's.
+// `handle` is handleHttp from index.js.
+export function createRosterRouter(rosters, { handle }) {
+  const router = express.Router();
+  router.use('/rosters', requireTeacherOrAdminToken);
+
+  router.get('/rosters', handle(async (req, res) => res.json(await rosters.listRosters(req.requester))));
+  // Body: the CSV file as text/csv; ?name= names the roster
+  router.post('/rosters/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), handle(async (req, res) => {
+    if (typeof req.body !== 'string') throw new HttpError('Send the roster as CSV (Content-Type: text/csv)');
+    res.status(201).json(await rosters.importRoster(req.body, { name: req.query.name, ownerId: req.requester.teacherId }));
+  }));
+  router.get('/rosters/:id', handle(async (req, res) => res.json(await rosters.getRoster(req.params.id, req.requester))));
+  router.delete('/rosters/:id', handle(async (req, res) => {
+    await rosters.deleteRoster(req.params.id, req.requester);
+    res.status(204).end();
+  }));
+
+  return router;
+}
@@ -0,0 +1,198 @@
+// Payload schemas for every socket event the server listens to. A schema is a
+// function (value, path) -> cleaned value that throws an EventError when the input
+// does not fit. Object schemas drop keys they don't know about.
+
+// Failures reported back to the client as { ok: false, error: { code, message } }
+export class EventError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function invalid(path, problem) {
+  throw new EventError('INVALID_PAYLOAD', `${path} ${problem}`);
+}
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Surrounding whitespace is trimmed; an empty string counts as missing
+export function string({ max = 200, optional = false } = {}) {
+  return (value, path) => {
+    if (!isMissing(value) && typeof value !== 'string') invalid(path, 'must be a string');
+    const text = isMissing(value) ? '' : value.trim();
+    if (!text) {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    if (text.length > max) invalid(path, `must be at most ${max} characters`);
+    return text;
+  };
+}
+
+// Numeric strings are accepted, since form inputs produce them
+export function number({ min = -Infinity, max = Infinity, optional = false } = {}) {
+  return (value, path) => {
+    if (isMissing(value) || value === '') {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    const n = typeof value === 'string' ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) invalid(path, 'must be a number');
+    if (n < min || n > max) invalid(path, `must be between ${min} and ${max}`);
+    return n;
+  };
+}
+
+export function boolean({ optional = false } = {}) {
+  return (value, path) => {
+    if (isMissing(value)) {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    if (typeof value !== 'boolean') invalid(path, 'must be true or false');
+    return value;
+  };
+}
+
+export function oneOf(values, { optional = false } = {}) {
+  return (value, path) => {
+    if (isMissing(value)) {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    if (!values.includes(value)) invalid(path, `must be one of ${values.join(', ')}`);
+    return value;
+  };
+}
+
+export function array(item, { min = 0, max = 50, optional = false } = {}) {
+  return (value, path) => {
+    if (isMissing(value)) {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    if (!Array.isArray(value)) invalid(path, 'must be a list');
+    if (value.length < min) invalid(path, `must have at least ${min} item${min === 1 ? '' : 's'}`);
+    if (value.length > max) invalid(path, `must have at most ${max} items`);
+    return value.map((v, idx) => item(v, `${path}[${idx}]`));
+  };
+}
+
+export function object(shape, { optional = false } = {}) {
+  return (value, path) => {
+    if (isMissing(value)) {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) invalid(path, 'must be an object');
+    const out = {};
+    for (const [key, schema] of Object.entries(shape)) {
+      const cleaned = schema(value[key], path ? `${path}.${key}` : key);
+      if (cleaned !== undefined) out[key] = cleaned;
+    }
+    return out;
+  };
+}
+
+// The first schema that accepts the value wins
+export function anyOf(schemas, { optional = false, description = 'is not valid' } = {}) {
+  return (value, path) => {
+    if (isMissing(value)) {
+      if (optional) return undefined;
+      invalid(path, 'is required');
+    }
+    for (const schema of schemas) {
+      try {
+        return schema(value, path);
+      } catch (err) {
+        if (!(err instanceof EventError)) throw err;
+      }
+    }
+    return invalid(path, description);
+  };
+}
+
+// Answers are checked against the question itself (see questionTypes.js parseAnswer)
+const answer = anyOf([
+  string({ max: 80 }),
+  number(),
+  array(string({ max: 64 }), { max: 20 })
+], { optional: true, description: 'must be an option id, a list of option ids, a number or text' });
+
+const pollId = string({ max: 64 });
+const optionalPollId = string({ max: 64, optional: true });
+const id = string({ max: 64 });
+
+const option = anyOf([
+  string({ max: 80 }),
+  object({ text: string({ max: 80 }), isCorrect: boolean({ optional: true }) })
+], { description: 'must be text or { text, isCorrect }' });
+
+// Everything that describes a question, shared by teacher:askQuestion and playlist items
+const questionFields = {
+  type: string({ max: 20, optional: true }),
+  text: string({ max: 140 }),
+  durationSec: number({ min: 1, max: 300, optional: true }),
+  options: array(option, { max: 10, optional: true }),
+  correctValue: anyOf([boolean(), number()], { optional: true, description: 'must be true, false or a number' }),
+  tolerance: number({ min: 0, optional: true }),
+  resultsVisibility: oneOf(['live', 'after_close', 'never'], { optional: true }),
+  anonymous: boolean({ optional: true })
+};
+
+export const EVENT_SCHEMAS = {
+  'teacher:init': object({ pollId: optionalPollId }),
+  'student:init': object({
+    pollId: string({ max: 64, optional: true }), // the join code; a missing one gets its own message
+    name: string({ max: 40, optional: true }),
+    participantId: string({ max: 64, optional: true }),
+    // With a class roster: the entry picked from student:classList, or unlisted to join under a name not on it
+    classStudentId: string({ max: 64, optional: true }),
+    unlisted: boolean({ optional: true })
+  }),
+  'student:classList': object({ pollId: string({ max: 64, optional: true }) }), // the join code, like student:init
+  'presenter:init': object({ pollId: string({ max: 64, optional: true }) }), // the join code, like student:init
+  'teacher:askQuestion': object({ pollId, ...questionFields }),
+  'teacher:startPlaylist': object({
+    pollId,
+    // breakSec: how long to show results before the next question
+    questions: array(object({ ...questionFields, breakSec: number({ min: 0, max: 300, optional: true }) }), { min: 1, max: 100 })
+  }),
+  'teacher:pausePlaylist': object({ pollId }),
+  'teacher:resumePlaylist': object({ pollId }),
+  'teacher:skipPlaylistItem': object({ pollId }),
+  'teacher:stopPlaylist': object({ pollId }),
+  'teacher:setGameMode': object({ pollId, enabled: boolean() }),
+  'teacher:resetScores': object({ pollId }),
+  'teacher:showPodium': object({ pollId }),
+  'student:submit': object({
+    pollId: optionalPollId,
+    questionId: id,
+    optionId: string({ max: 64, optional: true }),
+    answer
+  }),
+  'teacher:closePoll': object({ pollId }),
+  'teacher:archivePoll': object({ pollId }),
+  'teacher:endQuestion': object({ pollId }),
+  'teacher:pauseQuestion': object({ pollId }),
+  'teacher:resumeQuestion': object({ pollId }),
+  'teacher:extendQuestion': object({ pollId, seconds: number({ min: 1, max: 300 }) }),
+  'teacher:removeStudent': object({ pollId, studentId: id }),
+  'teacher:admitStudents': object({ pollId, studentIds: array(id, { max: 200 }) }),
+  'teacher:rejectStudent': object({ pollId, studentId: id }),
+  'teacher:liftBan': object({ pollId, studentId: id }),
+  'teacher:setLobbyEnabled': object({ pollId, enabled: boolean() }),
+  'teacher:setRosterLocked': object({ pollId, locked: boolean() }),
+  'teacher:setClassRoster': object({ pollId, rosterId: string({ max: 64, optional: true }) }), // no rosterId takes it off
+  'chat:send': object({ pollId: optionalPollId, message: string({ max: 280 }) }),
+  'chat:history': object({ pollId: optionalPollId, before: string({ max: 64, optional: true }) }),
+  'teacher:deleteChatMessage': object({ pollId, messageId: id }),
+  'teacher:muteStudent': object({ pollId, studentId: id, muted: boolean() }),
+  'teacher:setChatEnabled': object({ pollId, enabled: boolean() })
+};
+
+// Events may be sent without a payload; that is treated as an empty object
+export function validatePayload(event, payload) {
+  return EVENT_SCHEMAS[event](payload === undefined || payload === null ? {} : payload, '');
+}
@@ -0,0 +1,55 @@
+// Competitive mode: correct answers earn points, faster ones more, and answering several
+// questions right in a row adds a streak bonus. The scoreboard is a plain object on the poll:
+// participantId -> { name, points, streak, correct, answered }.
+
+const MAX_POINTS = 1000;
+const STREAK_BONUS = 100; // per correct answer in a row after the first
+const MAX_STREAK_BONUS = 500;
+
+// Points for one answer. A correct answer earns between half and all of MAX_POINTS depending
+// on how quickly it came after the question was asked; `streak` includes this answer.
+export function pointsFor({ correct, responseMs, durationSec, streak }) {
+  if (!correct) return 0;
+  const used = Math.min(Math.max(responseMs / (durationSec * 1000), 0), 1);
+  return Math.round(MAX_POINTS * (1 - used / 2)) + Math.min(STREAK_BONUS * (streak - 1), MAX_STREAK_BONUS);
+}
+
+export function streakOf(scoreboard, participantId) {
+  return scoreboard[participantId] ? scoreboard[participantId].streak : 0;
+}
+
+// Adds a finished question's answers (participantId -> { name, correct, points }) to the
+// scoreboard. Students on the roster who did not answer lose their streak.
+export function applyScores(scoreboard, answers, roster) {
+  const entryFor = (id, name) => {
+    if (!scoreboard[id]) scoreboard[id] = { name, points: 0, streak: 0, correct: 0, answered: 0 };
+    scoreboard[id].name = name || scoreboard[id].name;
+    return scoreboard[id];
+  };
+  for (const [participantId, a] of answers) {
+    const entry = entryFor(participantId, a.name);
+    entry.answered += 1;
+    entry.points += a.points || 0;
+    if (a.correct) {
+      entry.correct += 1;
+      entry.streak += 1;
+    } else {
+      entry.streak = 0;
+    }
+  }
+  for (const student of roster) {
+    if (!answers.has(student.id)) entryFor(student.id, student.name).streak = 0;
+  }
+}
+
+// Highest score first; equal scores share a rank (1, 2, 2, 4)
+export function standings(scoreboard) {
+  const rows = Object.entries(scoreboard)
+    .map(([participantId, { name, points, streak, correct, answered }]) => ({ participantId, name, points, streak, correct, answered }))
+    .sort((a, b) => b.points - a.points || a.name.localeCompare(b.name));
+  let rank = 0;
+  return rows.map((row, idx) => {
+    if (idx === 0 || row.points !== rows[idx - 1].points) rank = idx + 1;
+    return { rank, ...row };
+  });
+}
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+
+// Persistence for polls. A store keeps plain JSON records (see toRecord/fromRecord)
+// and exposes the same small interface regardless of backend:
+//   load()        -> array of poll records saved earlier
+//   save(record)  -> upsert one poll record
+//   remove(id)    -> drop a poll record
+//   loadCollection(name)         -> array of items saved under a named collection
+//   saveCollection(name, items)  -> replace a named collection (question bank, quizzes...)
+//   removeCollection(name)
+//   flush()       -> write any pending changes now
+
+// Convert a live poll (with Maps and Sets) into a JSON-safe record.
+export function toRecord(poll) {
+  const q = poll.currentQuestion;
+  const { answeredBy, answers, ...question } = q || {};
+  return {
+    id: poll.id,
+    status: poll.status,
+    createdAt: poll.createdAt,
+    lastActivityAt: poll.lastActivityAt,
+    closedAt: poll.closedAt,
+    students: Array.from(poll.students.values()).map(({ id, name, classStudentId, unlisted, muted, socketId, connected }) => ({
+      id,
+      name,
+      classStudentId: classStudentId || null,
+      unlisted: Boolean(unlisted),
+      muted: Boolean(muted),
+      socketId: socketId || null,
+      connected: Boolean(connected)
+    })),
+    lobbyEnabled: poll.lobbyEnabled,
+    rosterLocked: poll.rosterLocked,
+    classRoster: poll.classRoster,
+    attendance: poll.attendance,
+    waiting: poll.waiting,
+    bans: poll.bans,
+    hosts: poll.hosts,
+    playlist: poll.playlist,
+    gameMode: poll.gameMode,
+    scoreboard: poll.scoreboard,
+    chatEnabled: poll.chatEnabled,
+    currentQuestion: q ? {
+      ...question,
+      answeredBy: Array.from(answeredBy),
+      answers: Array.from(answers.entries())
+    } : null,
+    pastQuestions: poll.pastQuestions
+  };
+}
+
+// Rebuild a live poll from a stored record.
+export function fromRecord(record) {
+  const q = record.currentQuestion;
+  return {
+    id: record.id,
+    status: record.status || 'open',
+    createdAt: record.createdAt || Date.now(),
+    lastActivityAt: record.lastActivityAt || record.createdAt || Date.now(),
+    closedAt: record.closedAt || null,
+    students: new Map((record.students || []).map((st) => [st.id, { ...st, socketId: st.socketId || null, connected: Boolean(st.connected) }])),
+    lobbyEnabled: Boolean(record.lobbyEnabled),
+    rosterLocked: Boolean(record.rosterLocked),
+    classRoster: record.classRoster || null,
+    attendance: record.attendance || {},
+    waiting: record.waiting || [],
+    bans: record.bans || [],
+    hosts: record.hosts || [],
+    playlist: record.playlist || null,
+    gameMode: Boolean(record.gameMode),
+    scoreboard: record.scoreboard || {},
+    chatEnabled: record.chatEnabled !== false,
+    currentQuestion: q ? {
+      ...q,
+      type: q.type || 'single',
+      answeredBy: new Set(q.answeredBy || []),
+      answers: new Map(q.answers || [])
+    } : null,
+    pastQuestions: record.pastQuestions || []
+  };
+}
+
+// Keeps records in process memory only, for throwaway servers: nothing survives a restart.
+export function createMemoryStore() {
+  const records = new Map();
+  const collections = new Map();
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  return {
+    load: () => Array.from(records.values()).map(clone),
+    save: (record) => { records.set(record.id, clone(record)); },
+    remove: (id) => { records.delete(id); },
+    loadCollection: (name) => clone(collections.get(name) || []),
+    saveCollection: (name, items) => { collections.set(name, clone(items)); },
+    removeCollection: (name) => { collections.delete(name); },
+    flush: () => {}
+  };
+}
+
+// Keeps every poll in a single JSON file. Writes are batched and done by writing
+// a temp file and renaming it over the old one, so a crash never leaves half a file.
+// Records and collections are kept as JSON strings, so a write only serializes what changed.
+export function createFileStore(filePath, { writeDelayMs = 200 } = {}) {
+  const records = new Map(); // id -> JSON
+  const collections = new Map(); // name -> JSON
+  let writeTimer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const r of data.polls || []) records.set(r.id, JSON.stringify(r));
+      for (const [name, items] of Object.entries(data.collections || {})) collections.set(name, JSON.stringify(items));
+    } catch (err) {
+      console.error(`Could not read poll store ${filePath}:`, err.message);
+    }
+  }
+
+  function writeNow() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    const polls = Array.from(records.values()).join(',');
+    const named = Array.from(collections, ([name, json]) => `${JSON.stringify(name)}:${json}`).join(',');
+    fs.writeFileSync(tmp, `{"polls":[${polls}],"collections":{${named}}}`);
+    fs.renameSync(tmp, filePath);
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(writeNow, writeDelayMs);
+  }
+
+  return {
+    load: () => Array.from(records.values(), (json) => JSON.parse(json)),
+    save: (record) => { records.set(record.id, JSON.stringify(record)); scheduleWrite(); },
+    remove: (id) => { records.delete(id); scheduleWrite(); },
+    loadCollection: (name) => (collections.has(name) ? JSON.parse(collections.get(name)) : []),
+    saveCollection: (name, items) => { collections.set(name, JSON.stringify(items)); scheduleWrite(); },
+    removeCollection: (name) => { collections.delete(name); scheduleWrite(); },
+    flush: () => { if (writeTimer) writeNow(); }
+  };
+}
+
+export function createStore(kind = 'file', options = {}) {
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'file') return createFileStore(options.filePath || path.resolve('data', 'polls.json'), options);
+  throw new Error(`Unknown poll store "${kind}"`);
+}
@@ -0,0 +1,44 @@
+import http from 'http';
+import { verifySignature } from './webhooks.js';
+
+// A webhook receiver for trying hooks out locally, no network access needed. Start the
+// server with WEBHOOK_ALLOW_PRIVATE_HOSTS=1 (hooks on localhost are refused otherwise),
+// register http://localhost:4010/ as a hook, then watch the deliveries arrive here:
+//
+//   WEBHOOK_SECRET=<secret from creating the hook> npm run webhook-receiver
+//
+// RECEIVER_PORT picks another port. FAIL_FIRST=n answers the first n deliveries with a 500,
+// to see the server retry them. Without WEBHOOK_SECRET signatures are not checked.
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4010;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+let failLeft = Number(process.env.FAIL_FIRST) || 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-livepoll-event'];
+    let signature = 'not checked';
+    if (SECRET) {
+      const ok = verifySignature(SECRET, req.headers['x-livepoll-timestamp'], body, req.headers['x-livepoll-signature']);
+      signature = ok ? 'valid' : 'INVALID';
+    }
+    const failing = failLeft > 0;
+    if (failing) failLeft -= 1;
+    console.log(`${new Date().toISOString()} ${event} (delivery ${req.headers['x-livepoll-delivery']}), signature ${signature}${failing ? ', answering 500' : ''}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body).data, null, 2));
+    } catch {
+      console.log(body);
+    }
+    res.writeHead(failing ? 500 : signature === 'INVALID' ? 401 : 204).end();
+  });
+});
+
+server.listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/`));
@@ -0,0 +1,47 @@
+import express from 'express';
+import { requireOwnerToken, requireAdminToken } from './auth.js';
+
+// REST endpoints for webhooks. Global hooks (every poll) get every poll's events, so they need
+// the admin token; a poll's own hooks need a token for that poll, checked by `ownedPoll` (sends
+// the error response itself and resolves to null). `handle` is handleHttp from index.js.
+export function createWebhookRouter(webhooks, { ownedPoll, handle }) {
+  const router = express.Router();
+
+  // The same five routes for global hooks (scope null) and for one poll's hooks
+  const routes = (base, auth, scopeOf) => {
+    router.use(base, auth);
+    router.get(`${base}`, handle(async (req, res) => {
+      const scope = await scopeOf(req, res);
+      if (scope !== undefined) res.json(await webhooks.listHooks(scope));
+    }));
+    // Body: { url, events? }. The response is the only time the signing secret is shown.
+    router.post(`${base}`, handle(async (req, res) => {
+      const scope = await scopeOf(req, res);
+      if (scope === undefined) return;
+      const { url, events } = req.body || {};
+      res.status(201).json(await webhooks.createHook({ url, events, pollId: scope }));
+    }));
+    router.get(`${base}/deliveries`, handle(async (req, res) => {
+      const scope = await scopeOf(req, res);
+      if (scope !== undefined) res.json(await webhooks.listDeliveries(scope));
+    }));
+    router.post(`${base}/:hookId/ping`, handle(async (req, res) => {
+      const scope = await scopeOf(req, res);
+      if (scope !== undefined) res.status(202).json(await webhooks.ping(req.params.hookId, scope));
+    }));
+    router.delete(`${base}/:hookId`, handle(async (req, res) => {
+      const scope = await scopeOf(req, res);
+      if (scope === undefined) return;
+      await webhooks.deleteHook(req.params.hookId, scope);
+      res.status(204).end();
+    }));
+  };
+
+  routes('/webhooks', requireAdminToken, () => null);
+  routes('/polls/:id/webhooks', requireOwnerToken, async (req, res) => {
+    const poll = await ownedPoll(req, res);
+    return poll ? poll.id : undefined;
+  });
+
+  return router;
+}
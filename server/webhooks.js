@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import { HttpError } from './httpError.js';
+
+// Outgoing webhooks. A hook is { id, url, secret, events, pollId, createdAt }: pollId null
+// means every poll and an empty events list means every event.
+//
+// Each delivery POSTs { id, event, pollId, createdAt, data } as JSON. X-LivePoll-Timestamp
+// holds the send time (ms) and X-LivePoll-Signature is "sha256=" + the hex HMAC of
+// `${timestamp}.${body}` with the hook's secret; receivers check it with verifySignature.
+// Anything but a 2xx answer is retried with exponential backoff; redirects are not followed.
+//
+// Hooks may not point at this machine or the networks around it (private ranges, link-local,
+// which includes cloud metadata services), or anyone who can add a hook could make the server
+// probe internal services. The address is checked when the hook is added and again before
+// every delivery. allowPrivateHosts lifts this, for trying hooks out locally.
+
+export const WEBHOOK_EVENTS = ['student:joined', 'student:left', 'questionAsked', 'questionFinished', 'poll:closed'];
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function normalizeUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input || '').trim());
+  } catch {
+    throw new HttpError('A valid webhook URL is required');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new HttpError('Webhook URLs must start with http:// or https://');
+  return url.toString();
+}
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+async function checkHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  } catch {
+    throw new HttpError(`Could not find the webhook host ${host}`);
+  }
+  if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new HttpError('Webhooks cannot point to private or local addresses');
+  }
+}
+
+function normalizeEvents(events) {
+  if (events == null) return [];
+  if (!Array.isArray(events)) throw new HttpError('events must be a list of event names');
+  const unknown = events.find((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown) throw new HttpError(`Unknown webhook event "${unknown}"`);
+  return [...new Set(events)];
+}
+
+// The secret is only handed out when the hook is created
+function publicHook({ secret, ...hook }) {
+  return hook;
+}
+
+const HOOKS = 'webhooks';
+const DELIVERIES = 'webhookDeliveries';
+
+const byAge = (a, b) => a.createdAt - b.createdAt;
+
+// Hooks and the delivery log are kept in the poll state (see pollState.js), so every instance
+// sends the same hooks and shows the same log.
+export async function createWebhooks(pollState, { maxAttempts = 5, retryBaseMs = 1000, timeoutMs = 5000, logLimit = 500, allowPrivateHosts = false } = {}) {
+  // Retries only live in the process that started them, so a restart ends them. With shared
+  // state a pending delivery may belong to another instance that is still retrying.
+  if (!pollState.shared) {
+    for (const entry of await pollState.listItems(DELIVERIES)) {
+      if (entry.status !== 'pending') continue;
+      await pollState.putItem(DELIVERIES, { ...entry, status: 'failed', error: 'The server restarted before the delivery went through', nextAttemptAt: null });
+    }
+  }
+
+  async function getHook(id, pollId = null) {
+    const hook = await pollState.getItem(HOOKS, id);
+    if (!hook || hook.pollId !== pollId) throw new HttpError('Webhook not found', 404);
+    return hook;
+  }
+
+  async function listHooks(pollId = null) {
+    return (await pollState.listItems(HOOKS)).filter((h) => h.pollId === pollId).sort(byAge).map(publicHook);
+  }
+
+  async function createHook({ url, events, pollId = null }) {
+    const hook = {
+      id: uuidv4(),
+      url: normalizeUrl(url),
+      events: normalizeEvents(events),
+      pollId,
+      secret: crypto.randomBytes(24).toString('hex'),
+      createdAt: Date.now()
+    };
+    if (!allowPrivateHosts) await checkHost(hook.url);
+    await pollState.putItem(HOOKS, hook);
+    return hook;
+  }
+
+  async function deleteHook(id, pollId = null) {
+    await getHook(id, pollId);
+    await pollState.removeItem(HOOKS, id);
+  }
+
+  // A deleted poll takes its own hooks and their log with it
+  async function deletePollHooks(pollId) {
+    for (const hook of await pollState.listItems(HOOKS)) {
+      if (hook.pollId === pollId) await pollState.removeItem(HOOKS, hook.id);
+    }
+    for (const entry of await pollState.listItems(DELIVERIES)) {
+      if (!entry.global && entry.pollId === pollId) await pollState.removeItem(DELIVERIES, entry.id);
+    }
+  }
+
+  // Newest first. Global hooks and each poll's own hooks have separate logs.
+  async function listDeliveries(pollId = null) {
+    const entries = (await pollState.listItems(DELIVERIES)).filter((d) => (pollId ? !d.global && d.pollId === pollId : d.global));
+    return entries.sort(byAge).reverse();
+  }
+
+  async function trimLog() {
+    const entries = await pollState.listItems(DELIVERIES);
+    if (entries.length <= logLimit) return;
+    for (const entry of entries.sort(byAge).slice(0, entries.length - logLimit)) await pollState.removeItem(DELIVERIES, entry.id);
+  }
+
+  async function deliver(hook, payload) {
+    const entry = {
+      id: payload.id,
+      hookId: hook.id,
+      global: !hook.pollId,
+      url: hook.url,
+      event: payload.event,
+      pollId: payload.pollId,
+      status: 'pending', // then 'delivered' or 'failed'
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      nextAttemptAt: null,
+      createdAt: payload.createdAt,
+      finishedAt: null
+    };
+    await pollState.putItem(DELIVERIES, entry);
+    await trimLog();
+    const body = JSON.stringify(payload);
+
+    const attempt = async () => {
+      entry.attempts += 1;
+      const timestamp = Date.now();
+      let deleted = false;
+      try {
+        deleted = !(await pollState.getItem(HOOKS, hook.id));
+        if (deleted) throw new Error('The webhook was deleted');
+        if (!allowPrivateHosts) await checkHost(hook.url);
+        const res = await fetch(hook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'live-poll-webhooks',
+            'X-LivePoll-Event': payload.event,
+            'X-LivePoll-Delivery': payload.id,
+            'X-LivePoll-Timestamp': String(timestamp),
+            'X-LivePoll-Signature': signPayload(hook.secret, timestamp, body)
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        await res.text().catch(() => {});
+        entry.responseStatus = res.status;
+        entry.error = res.ok ? null : `Answered with HTTP ${res.status}`;
+      } catch (err) {
+        entry.responseStatus = null;
+        entry.error = err.name === 'TimeoutError' ? `No answer within ${timeoutMs}ms` : (err.cause && err.cause.code) || err.message;
+      }
+      if (!entry.error || entry.attempts >= maxAttempts || deleted) {
+        entry.status = entry.error ? 'failed' : 'delivered';
+        entry.nextAttemptAt = null;
+        entry.finishedAt = Date.now();
+      } else {
+        const delay = retryBaseMs * 2 ** (entry.attempts - 1);
+        entry.nextAttemptAt = Date.now() + delay;
+        setTimeout(run, delay);
+      }
+      await pollState.putItem(DELIVERIES, entry);
+    };
+    const run = () => attempt().catch((err) => console.error(`Webhook delivery ${entry.id} failed:`, err.message));
+    run();
+    return entry;
+  }
+
+  // Sends `event` to every hook that wants it: the poll's own and the global ones. Delivery
+  // runs in the background; failures only show up in the log.
+  function dispatch(pollId, event, data) {
+    const createdAt = Date.now();
+    pollState.listItems(HOOKS).then(async (hooks) => {
+      for (const hook of hooks) {
+        if (hook.pollId && hook.pollId !== pollId) continue;
+        if (hook.events.length && !hook.events.includes(event)) continue;
+        await deliver(hook, { id: uuidv4(), event, pollId, createdAt, data });
+      }
+    }).catch((err) => console.error(`Could not send webhook event ${event}:`, err.message));
+  }
+
+  // A 'ping' delivery to one hook, so teachers can check their receiver
+  async function ping(id, pollId = null) {
+    const hook = await getHook(id, pollId);
+    return deliver(hook, { id: uuidv4(), event: 'ping', pollId, createdAt: Date.now(), data: { hookId: hook.id } });
+  }
+
+  return { listHooks, createHook, deleteHook, deletePollHooks, listDeliveries, dispatch, ping };
+}